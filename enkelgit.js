@@ -4,10 +4,63 @@ const chalk = require("chalk");
 
 const Core = require("./src/Core");
 
+/**
+ * Options that never take a value. The argument after
+ * one of these is a command argument, not its value.
+ */
+const FLAGS = [
+  "bare",
+  "f",
+  "r",
+  "prune",
+  "oneline",
+  "graph",
+  "decorate",
+  "stat",
+  "name-only",
+  "name-status",
+  "is-ancestor",
+  "all",
+  "v",
+  "s",
+  "short",
+  "porcelain",
+  "json",
+  "a",
+  "d",
+  "D",
+  "l",
+  "tags",
+  "abbrev-ref",
+  "branch",
+  "allow-onelevel",
+  "allow-empty",
+  "amend",
+  "soft",
+  "mixed",
+  "hard",
+  "staged",
+  "worktree",
+  "ours",
+  "theirs",
+  "track",
+];
+
+/**
+ * Options that may be passed more than once, like the paragraphs
+ * of a commit message passed with -m. If one is, its values are
+ * collected in an array.
+ */
+const REPEATABLE = ["m"];
+
 /**
  * Takes the process.argv object passed when enkelgit.js
  * is run as a script. It returns an object that contains
  * the parsed parameters to be formed into a Enkelgit command.
+ * Options can be given a value as --name value or --name=value.
+ * Arguments after a lone -- are collected, unparsed, in opts["--"].
+ * A repeatable option passed more than once gets an array of values.
+ * A lone - is an argument, not an option, as it often means stdin.
  *
  * @param {String} argv
  */
@@ -15,11 +68,20 @@ const parseOptions = (argv) => {
   let name;
   return argv.reduce(
     (opts, arg) => {
-      if (arg.match(/^-/)) {
-        name = arg.replace(/^-+/, "");
-        opts[name] = true;
+      if (opts["--"] !== undefined) {
+        opts["--"].push(arg);
+      } else if (arg === "--") {
+        opts["--"] = [];
+        name = undefined;
+      } else if (arg.match(/^-./)) {
+        const option = arg.match(/^-+([^=]*)(=([\s\S]*))?$/);
+        name = option[1];
+        setOption(opts, name, option[3] === undefined ? true : option[3]);
+        if (option[3] !== undefined || FLAGS.indexOf(name) !== -1) {
+          name = undefined;
+        }
       } else if (name !== undefined) {
-        opts[name] = arg;
+        setOption(opts, name, arg);
         name = undefined;
       } else {
         opts._.push(arg);
@@ -31,6 +93,29 @@ const parseOptions = (argv) => {
   );
 };
 
+/**
+ * Sets the option called name in opts to value. true stands for an
+ * option whose value, if it has one, is the next argument. When a
+ * repeatable option already has a value, value is added to it
+ * instead.
+ *
+ * @param {Object} opts
+ * @param {String} name
+ * @param {Any} value
+ */
+const setOption = (opts, name, value) => {
+  const previous = opts[name];
+  if (
+    REPEATABLE.indexOf(name) === -1 ||
+    previous === undefined ||
+    previous === true
+  ) {
+    opts[name] = value;
+  } else if (value !== true) {
+    opts[name] = [].concat(previous, value);
+  }
+};
+
 /**
  * takes the process.argv object passed when enkelgit.js is run
  * as a script. It parses the command line arguments, runs the
@@ -67,7 +152,7 @@ const runCli = (module.exports.runCli = (argv) => {
  * array of script arguments to runCli() so they can be used
  * to run a Enkelgit command. Print the return value of the
  * Enkelgit command. If the Enkelgit command throws, print the
- * error message.
+ * error message and exit with a non-zero status.
  */
 if (require.main === module) {
   try {
@@ -77,5 +162,6 @@ if (require.main === module) {
     }
   } catch (e) {
     console.error(e.toString());
+    process.exitCode = 1;
   }
 }
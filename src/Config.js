@@ -1,6 +1,14 @@
+const os = require("os");
+const fs = require("fs");
+
 const Files = require("../src/Files");
 const Utils = require("../src/Utils");
 
+/**
+ * The digest algorithms objects can be addressed by.
+ */
+const OBJECT_FORMATS = ["sha1", "sha256"];
+
 /**
  * Returns true if the repository is bare.
  */
@@ -15,6 +23,72 @@ const assertNotBare = () => {
   }
 };
 
+/**
+ * The object formats objectFormat() has read, keyed by the path of
+ * the config file they were read from. Each is kept with a stamp of
+ * the file, so the config is only read again once it is replaced,
+ * rather than for every object hashed.
+ */
+const objectFormats = {};
+
+/**
+ * Returns the digest algorithm the repository addresses its
+ * objects by. Repositories that don't record one use sha1.
+ */
+const objectFormat = () => {
+  const path = Files.enkelgitPath("config");
+  const stat = fs.statSync(path, { bigint: true });
+  const stamp = [stat.ino, stat.mtimeNs, stat.size].join(":");
+  if (
+    objectFormats[path] === undefined ||
+    objectFormats[path].stamp !== stamp
+  ) {
+    objectFormats[path] = {
+      stamp,
+      format: read().core[""].objectformat || "sha1",
+    };
+  }
+
+  return objectFormats[path].format;
+};
+
+/**
+ * Returns who is acting as role, "author" or "committer", and when,
+ * as { name, email, date, timezone }. The name and email are taken
+ * from the ENKELGIT_<ROLE>_NAME and ENKELGIT_<ROLE>_EMAIL environment
+ * variables, then from the [user] section of the config, and are
+ * otherwise made up from the login name and the host name. The date
+ * is now, unless ENKELGIT_<ROLE>_DATE gives one, either as Unix
+ * seconds and a timezone offset, eg. "1700000000 +0100", or in a
+ * form that Date.parse() reads.
+ *
+ * @param {String} role
+ */
+const identity = (role = "author") => {
+  const env = (name) =>
+    process.env["ENKELGIT_" + role.toUpperCase() + "_" + name];
+  const user = (read().user || {})[""] || {};
+  const login = os.userInfo().username;
+  const envDate = env("DATE");
+  const raw = (envDate || "").match(/^@?(\d+) ([+-]\d{4})$/);
+  if (envDate !== undefined && raw === null && isNaN(Date.parse(envDate))) {
+    throw new Error("invalid date format: " + envDate);
+  }
+
+  const date =
+    raw !== null
+      ? new Date(Number(raw[1]) * 1000)
+      : envDate !== undefined
+      ? new Date(Date.parse(envDate))
+      : new Date();
+  return {
+    name: env("NAME") || user.name || login,
+    email: env("EMAIL") || user.email || login + "@" + os.hostname(),
+    date,
+    timezone: raw !== null ? raw[2] : Utils.timezoneOffset(date),
+  };
+};
+
 /**
  * Returns the contents of the config file as a nested JS object.
  */
@@ -27,7 +101,7 @@ const read = () => strToObj(Files.read(Files.enkelgitPath("config")));
  * @param {Object} configObj
  */
 const write = (configObj) =>
-  Files.write(Files.enkelgitPath("config"), objToStr(configObj));
+  Files.writeLocked(Files.enkelgitPath("config"), objToStr(configObj));
 
 /**
  * Parses the config string str and returns its contents as a
@@ -97,7 +171,10 @@ const objToStr = (configObj) => {
 };
 
 module.exports = {
+  OBJECT_FORMATS,
   isBare,
+  objectFormat,
+  identity,
   assertNotBare,
   read,
   write,
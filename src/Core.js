@@ -1,3 +1,4 @@
+const nodePath = require("path");
 const fs = require("fs");
 
 const WorkingCopy = require("./WorkingCopy");
@@ -6,6 +7,9 @@ const Config = require("./Config");
 const Status = require("./Status");
 const Files = require("./Files");
 const Merge = require("./Merge");
+const Ignore = require("./Ignore");
+const Reflog = require("./Reflog");
+const Log = require("./Log");
 const Index = require("./Index");
 const Utils = require("./Utils");
 const Diff = require("./Diff");
@@ -23,13 +27,22 @@ const init = (opts = {}) => {
     CLI.error("This EnkelGit repository is already initialized!");
   }
 
+  // Abort if --object-format names a digest Enkelgit can't address objects by.
+  const objectFormat = opts["object-format"] || "sha1";
+  if (Config.OBJECT_FORMATS.indexOf(objectFormat) === -1) {
+    throw new Error("unknown object format " + objectFormat);
+  }
+
   // Create a JS object that mirrors the Git basic directory structure.
   // If --bare was passed, write to the Git config indicating that the
   // repository is bare. If --bare was not passed, write to the Git
-  // config saying the repository is not bare.
+  // config saying the repository is not bare. The digest objects are
+  // addressed by is recorded too, so it can't change under the repository.
   let enkelgitStructure = {
     HEAD: "ref: refs/heads/master\n",
-    config: Config.objToStr({ core: { "": { bare: opts.bare === true } } }),
+    config: Config.objToStr({
+      core: { "": { bare: opts.bare === true, objectformat: objectFormat } },
+    }),
     objects: {},
     refs: { heads: {} },
   };
@@ -45,24 +58,47 @@ const init = (opts = {}) => {
 };
 
 /**
- * Adds files that match path to the index.
+ * Adds files that match path to the index. Files ignored by an
+ * ignore file are skipped, unless they are already tracked or
+ * -f is passed.
  *
  * @param {String} path
- * @param {Any} _
+ * @param {Object} opts
  */
-const add = (path, _) => {
+const add = (path, opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
+  opts = opts || {};
+
+  // Get the paths of all the files matching path that are not
+  // ignored. Tracked files are kept even if they match a rule.
+  const index = Index.session();
+  const match = Ignore.matcher();
+  const toc = index.toc();
+  const matchedFiles = Files.lsRecursive(path);
+  const addedFiles = matchedFiles.filter((p) => {
+    const pathFromRoot = Files.pathFromRepoRoot(p);
+    return (
+      !Ignore.isIgnored(pathFromRoot, opts.f ? () => undefined : match) ||
+      toc[pathFromRoot] !== undefined
+    );
+  });
 
-  // Get the paths of all the files matching path.
-  const addedFiles = Files.lsRecursive(path);
-
-  // Abort if no files matched path. Otherwise, use the update_index()
-  // Git command to actually add the files.
-  if (addedFiles.length === 0) {
+  // Abort if no files matched path, or if path itself is ignored.
+  // Otherwise, use the update_index() Git command to actually add
+  // the files, and write the index once they are all added.
+  if (matchedFiles.length === 0) {
     throw new Error(Files.pathFromRepoRoot(path) + " did not match any files");
+  } else if (addedFiles.length === 0) {
+    throw new Error(
+      Files.pathFromRepoRoot(path) +
+        " is ignored by one of your " +
+        Ignore.IGNORE_FILE +
+        " files, use -f if you really want to add it"
+    );
   } else {
-    addedFiles.forEach((p) => update_index(p, { add: true }));
+    addedFiles.forEach((p) => update_index(p, { add: true }, index));
+    index.flush();
   }
 };
 
@@ -109,10 +145,12 @@ const rm = (path, opts = {}) => {
       // Otherwise, remove the files that match path. Delete them from
       // disk and remove from the index.
       filesToRm
-        .map(Files.workingCopyPath())
+        .map((p) => Files.workingCopyPath(p))
         .filter(fs.existsSync)
         .forEach(fs.unlinkSync);
-      filesToRm.forEach((p) => update_index(p, { remove: true }));
+      const index = Index.session();
+      filesToRm.forEach((p) => update_index(p, { remove: true }, index));
+      index.flush();
     }
   }
 };
@@ -120,13 +158,20 @@ const rm = (path, opts = {}) => {
 /**
  * Creates a commit object that represents the current state
  * of the index, writes the commit to the objects directory
- * and points HEAD at the commit.
+ * and points HEAD at the commit. The message is passed with -m,
+ * once for each paragraph, or read from a file with -F. The author
+ * and committer are taken from the environment or the config (see
+ * Config.identity()). --author "Name <email>" records someone else
+ * as the author. --allow-empty commits even if nothing changed.
+ * --amend replaces the HEAD commit with a new one that has the
+ * same parents and author, and its message unless one is passed.
  *
  * @param {Object} opts
  */
 const commit = (opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
+  opts = opts || {};
 
   // Write a tree set of tree objects that represent
   // the current state of the index.
@@ -134,14 +179,35 @@ const commit = (opts) => {
   const headDesc = Refs.isHeadDetached()
     ? "detached HEAD"
     : Refs.headBranchName();
-
-  if (
-    Refs.hash("HEAD") !== undefined &&
-    treeHash === Objects.treeHash(Objects.read(Refs.hash("HEAD")))
+  const headHash = Refs.hash("HEAD");
+  const passed = message(opts);
+  const authorMatch = String(opts.author).match(/^\s*(.+?)\s*<([^<>]*)>\s*$/);
+
+  // The new commit's parents. An amended commit takes the parents of
+  // the commit it replaces.
+  const parentHashes =
+    opts.amend && headHash !== undefined
+      ? Objects.parentHashes(Objects.read(headHash))
+      : Refs.commitParentHashes();
+
+  if (opts.author !== undefined && authorMatch === null) {
+    // Abort if --author was not passed a name and an email.
+    throw new Error("--author '" + opts.author + "' is not 'Name <email>'");
+  } else if (opts.amend && headHash === undefined) {
+    // Abort if there is no commit to amend.
+    throw new Error("you have nothing to amend");
+  } else if (opts.amend && Merge.isMergeInProgress()) {
+    // Abort because the merge would be lost.
+    throw new Error("you are in the middle of a merge -- cannot amend");
+  } else if (
+    !opts["allow-empty"] &&
+    parentHashes.length === 1 &&
+    treeHash === Objects.treeHash(Objects.read(parentHashes[0]))
   ) {
     // Compare the hash of the tree object at the top of the tree that was
-    // just written with the hash of the tree object that the HEAD commit
-    // points at. If they are the same, abort because there is nothing new to commit.
+    // just written with the hash of the tree object that the parent commit
+    // points at. If they are the same, abort because there is nothing new to
+    // commit, unless --allow-empty was passed.
     throw new Error(
       "# On " + headDesc + "\nnothing to commit, working directory clean"
     );
@@ -157,20 +223,53 @@ const commit = (opts) => {
     } else {
       // If the repository is in the merge state, use a pre-written merge
       // commit message. If the repository is not in the merge state,
-      // use the message passed with -m.
+      // use the message passed with -m or -F. An amended commit keeps
+      // the message of the commit it replaces if none was passed.
+      const amended = opts.amend
+        ? Objects.parseCommit(Objects.read(headHash))
+        : undefined;
       const m = Merge.isMergeInProgress()
         ? Files.read(Files.enkelgitPath("MERGE_MSG"))
-        : opts.m;
+        : passed === undefined && amended !== undefined
+        ? amended.message
+        : passed;
+      if (m === undefined || m.trim() === "") {
+        // Abort if there is no message to record.
+        throw new Error("aborting commit due to empty commit message");
+      }
 
-      // Write the new commit to the objects directory.
+      // Write the new commit to the objects directory. An amended
+      // commit keeps its author.
+      const author = Object.assign(
+        (amended || {}).author || Config.identity("author"),
+        authorMatch === null
+          ? {}
+          : { name: authorMatch[1], email: authorMatch[2] }
+      );
       const commitHash = Objects.writeCommit(
         treeHash,
         m,
-        Refs.commitParentHashes()
+        parentHashes,
+        author,
+        Config.identity("committer")
       );
 
-      // Point HEAD at new commit.
-      update_ref("HEAD", commitHash);
+      // Point HEAD at new commit, as long as no other process
+      // has moved HEAD since the parent was read.
+      const kind = opts.amend
+        ? " (amend)"
+        : parentHashes.length === 0
+        ? " (initial)"
+        : Merge.isMergeInProgress()
+        ? " (merge)"
+        : "";
+      const subject = m.split("\n")[0];
+      update_ref(
+        "HEAD",
+        commitHash,
+        headHash || null,
+        "commit" + kind + ": " + subject
+      );
 
       if (Merge.isMergeInProgress()) {
         // If MERGE_HEAD exists, the repository was in the merge state.
@@ -182,62 +281,394 @@ const commit = (opts) => {
       } else {
         // Repository was not in the merge state, so just report that
         // the commit is complete.
-        return "[" + headDesc + " " + commitHash + "] " + m;
+        return "[" + headDesc + " " + commitHash + "] " + subject;
       }
     }
   }
 };
 
 /**
- * Creates a new branch that points at the commit that HEAD points at.
+ * Returns the message passed to commit or tag: the -m values joined
+ * as paragraphs if -m was passed more than once, or the content of
+ * the file passed with -F, where - means standard input. It returns
+ * undefined if neither was passed.
+ *
+ * @param {Object} opts
+ */
+const message = (opts) => {
+  if (opts.m !== undefined && opts.F !== undefined) {
+    // Abort because it is not clear which message to use.
+    throw new Error("options '-m' and '-F' cannot be used together");
+  } else if (opts.F !== undefined) {
+    const path = opts.F === "-" ? 0 : String(opts.F);
+    if (path !== 0 && !fs.existsSync(path)) {
+      // Abort if the message file can't be read.
+      throw new Error("could not read log file '" + opts.F + "'");
+    }
+
+    return fs.readFileSync(path, "utf8");
+  } else if (opts.m !== undefined) {
+    const paragraphs = [].concat(opts.m);
+    if (!paragraphs.every(Utils.isString)) {
+      // Abort if -m was passed without a message.
+      throw new Error("switch 'm' requires a value");
+    }
+
+    return paragraphs.join("\n\n");
+  }
+};
+
+/**
+ * Creates a new branch called name that points at the commit that
+ * HEAD points at. -d deletes the branch called name, refusing if
+ * its commits are not all in HEAD, and -D deletes it anyway.
+ * -m <old> <name> renames the branch old, or the checked out branch
+ * if only -m <name> is passed. If no name is passed, the local
+ * branches are listed. --contains <commit> lists only those that
+ * contain commit, --merged <commit> only those that commit contains
+ * and --no-merged <commit> only those it doesn't. Each defaults to
+ * HEAD. -v shows each branch's tip, how far it is ahead of and
+ * behind its upstream, and the subject of its tip commit.
  *
  * @param {String} name
+ * @param {Object} opts
  */
-const branch = (name) => {
+const branch = (name, opts) => {
   Files.assertInRepo();
+  opts = opts || {};
 
-  if (name === undefined) {
+  const isListing =
+    name === undefined && !Utils.isString(opts.m) && !opts.d && !opts.D;
+  if (isListing) {
     // If no branch name was passed, list the local branches.
-    return (
-      Object.keys(Refs.localHeads())
-        .map((branch) => {
-          return (branch === Refs.headBranchName() ? "* " : "  ") + branch;
-        })
-        .join("\n") + "\n"
-    );
+    return listBranches(opts);
+  } else if (opts.d || opts.D) {
+    return deleteBranch(name, opts.D);
+  } else if (Utils.isString(opts.m)) {
+    // -m <old> <new> renames old, -m <new> the checked out branch.
+    return name === undefined
+      ? renameBranch(Refs.headBranchName(), opts.m)
+      : renameBranch(opts.m, name);
   } else if (Refs.hash("HEAD") === undefined) {
     // HEAD is not pointing at a commit, so there is no commit
     // for the new branch to point at. Abort. This is most likely
     // to happen if the repository has no commits.
     throw new Error(Refs.headBranchName() + " not a valid object name");
+  } else if (!Refs.isRef(Refs.toLocalRef(name))) {
+    // Abort if name breaks the rules for ref names.
+    throw new Error("'" + name + "' is not a valid branch name");
   } else if (Refs.exists(Refs.toLocalRef(name))) {
     // Abort because a branch called name already exists.
     throw new Error("A branch named " + name + " already exists");
   } else {
     // Otherwise, create a new branch by creating a new file called
     // name that contains the hash of the commit that HEAD points at.
-    update_ref(Refs.toLocalRef(name), Refs.hash("HEAD"));
+    update_ref(
+      Refs.toLocalRef(name),
+      Refs.hash("HEAD"),
+      null,
+      "branch: Created from HEAD"
+    );
+  }
+};
+
+/**
+ * Returns the list of local branches that branch prints, filtered
+ * by --contains, --merged and --no-merged and described in full
+ * if -v is passed. The checked out branch is marked with a *.
+ *
+ * @param {Object} opts
+ */
+const listBranches = (opts) => {
+  const commitHash = (revision) => {
+    const hash = Refs.hash(revision === true ? "HEAD" : revision);
+    if (hash === undefined || Objects.type(hash) !== "commit") {
+      throw new Error("malformed object name " + revision);
+    }
+
+    return hash;
+  };
+
+  const heads = Refs.localHeads();
+  const filters = [
+    opts.contains === undefined
+      ? undefined
+      : (tip) => Objects.isUpToDate(tip, commitHash(opts.contains)),
+    opts.merged === undefined
+      ? undefined
+      : (tip) => Objects.isUpToDate(commitHash(opts.merged), tip),
+    opts["no-merged"] === undefined
+      ? undefined
+      : (tip) => !Objects.isUpToDate(commitHash(opts["no-merged"]), tip),
+  ].filter((f) => f !== undefined);
+  const names = Object.keys(heads).filter((b) =>
+    filters.every((f) => f(heads[b]))
+  );
+
+  const width = Math.max(0, ...names.map((b) => b.length));
+  return names
+    .map((b) => {
+      const marker = b === Refs.headBranchName() ? "* " : "  ";
+      if (!opts.v) {
+        return marker + b;
+      }
+
+      // Describe how the branch and its upstream have diverged.
+      const upstreamRef = Refs.trackedRef(b);
+      const upstreamHash =
+        upstreamRef === undefined ? undefined : Refs.hash(upstreamRef);
+      let tracking = "";
+      if (upstreamRef !== undefined && upstreamHash === undefined) {
+        tracking = "[gone] ";
+      } else if (upstreamHash !== undefined) {
+        const counts = Log.aheadBehind(heads[b], upstreamHash);
+        const parts = [
+          counts.ahead > 0 ? "ahead " + counts.ahead : undefined,
+          counts.behind > 0 ? "behind " + counts.behind : undefined,
+        ].filter((p) => p !== undefined);
+        tracking = parts.length > 0 ? "[" + parts.join(", ") + "] " : "";
+      }
+
+      return (
+        marker +
+        b.padEnd(width) +
+        " " +
+        Log.abbrev(heads[b]) +
+        " " +
+        tracking +
+        Log.expand(heads[b], "%s")
+      );
+    })
+    .map((line) => line + "\n")
+    .join("");
+};
+
+/**
+ * Deletes the branch called name. Unless force is true, it refuses
+ * to delete a branch whose commits are not all reachable from HEAD,
+ * because they would be lost.
+ *
+ * @param {String} name
+ * @param {Boolean} force
+ */
+const deleteBranch = (name, force) => {
+  const ref = name === undefined ? undefined : Refs.toLocalRef(name);
+  if (name === undefined) {
+    // Abort if no branch was named.
+    throw new Error("branch name required");
+  } else if (!Refs.exists(ref)) {
+    // Abort if there is no branch to delete.
+    throw new Error("branch '" + name + "' not found");
+  } else if (Refs.isCheckedOut(name)) {
+    // Abort because HEAD would point at a branch that doesn't exist.
+    throw new Error("cannot delete branch '" + name + "' checked out");
+  } else if (!force && !Objects.isUpToDate(Refs.hash("HEAD"), Refs.hash(ref))) {
+    // Abort if the branch has commits that HEAD doesn't contain.
+    throw new Error(
+      "the branch '" +
+        name +
+        "' is not fully merged, run 'enkelgit branch -D " +
+        name +
+        "' if you are sure you want to delete it"
+    );
+  } else {
+    // Otherwise, remove the branch's ref and its section of the
+    // config.
+    const hash = Refs.hash(ref);
+    Refs.rm(ref);
+    const config = Config.read();
+    if ((config.branch || {})[name] !== undefined) {
+      delete config.branch[name];
+      Config.write(config);
+    }
+
+    return "Deleted branch " + name + " (was " + Log.abbrev(hash) + ")";
+  }
+};
+
+/**
+ * Renames the branch called oldName to newName, carrying over its
+ * section of the config. If HEAD points at the branch, it is
+ * pointed at the new name.
+ *
+ * @param {String} oldName
+ * @param {String} newName
+ */
+const renameBranch = (oldName, newName) => {
+  if (oldName === undefined) {
+    // Abort if HEAD is detached and so there is no branch to rename.
+    throw new Error("no branch to rename, HEAD is detached");
+  } else if (!Refs.exists(Refs.toLocalRef(oldName))) {
+    // Abort if there is no branch to rename.
+    throw new Error("no branch named '" + oldName + "'");
+  } else if (!Refs.isRef(Refs.toLocalRef(newName))) {
+    // Abort if the new name breaks the rules for ref names.
+    throw new Error("'" + newName + "' is not a valid branch name");
+  } else if (Refs.exists(Refs.toLocalRef(newName))) {
+    // Abort because a branch called newName already exists.
+    throw new Error("A branch named " + newName + " already exists");
+  } else {
+    // Otherwise, remove the old ref before writing the new one, so
+    // that a rename from a/b to a is possible. The branch's log
+    // moves with it.
+    const oldRef = Refs.toLocalRef(oldName);
+    const newRef = Refs.toLocalRef(newName);
+    const hash = Refs.hash(oldRef);
+    const isHead = Refs.headBranchName() === oldName;
+    Reflog.rename(oldRef, newRef);
+    Refs.rm(oldRef);
+    Refs.write(newRef, hash, null);
+    Reflog.append(
+      newRef,
+      hash,
+      hash,
+      "Branch: renamed " + oldRef + " to " + newRef
+    );
+    if (isHead) {
+      Refs.write("HEAD", "ref: " + newRef);
+    }
+
+    const config = Config.read();
+    if ((config.branch || {})[oldName] !== undefined) {
+      config.branch[newName] = config.branch[oldName];
+      delete config.branch[oldName];
+      Config.write(config);
+    }
+  }
+};
+
+/**
+ * Creates a tag called name that points at commit, or at the
+ * commit HEAD points at if commit is not passed. A lightweight
+ * tag is just a ref. If -a, -m <message> or -F <file> is passed, an
+ * annotated tag object is written, recording the tagger, the date and
+ * the message, and the ref points at it. -f replaces an existing tag.
+ * -d deletes the tag called name. With no name, or with -l, the
+ * tags are listed.
+ *
+ * @param {String} name
+ * @param {String} commit
+ * @param {Object} opts
+ */
+const tag = (name, commit, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  const tagRef = name === undefined ? undefined : Refs.toTagRef(name);
+  const oldHash = tagRef === undefined ? undefined : Refs.resolve(tagRef);
+  if (name === undefined || opts.l) {
+    // If no tag name was passed, list the tags.
+    return Object.keys(Refs.tags()).join("\n");
+  } else if (opts.d) {
+    if (!Refs.exists(tagRef)) {
+      // Abort if there is no tag to delete.
+      throw new Error("tag '" + name + "' not found");
+    } else {
+      // Otherwise, remove the tag's ref. An annotated tag object
+      // is left for gc to clean up.
+      Refs.rm(tagRef);
+      return "Deleted tag '" + name + "' (was " + Log.abbrev(oldHash) + ")";
+    }
+  } else if (!Refs.isRef(tagRef)) {
+    // Abort if name can't be used in a ref.
+    throw new Error("'" + name + "' is not a valid tag name");
+  } else if (Refs.exists(tagRef) && !opts.f) {
+    // Abort if the tag exists and -f was not passed.
+    throw new Error("tag '" + name + "' already exists");
+  } else if (Refs.hash(commit || "HEAD") === undefined) {
+    // Abort if there is no commit to tag. This is most likely to
+    // happen if the repository has no commits.
+    throw new Error(
+      "failed to resolve '" + (commit || "HEAD") + "' as a valid ref"
+    );
+  } else if (opts.a && opts.m === undefined && opts.F === undefined) {
+    // Abort if an annotated tag was asked for without a message.
+    throw new Error("annotated tags need a message, pass one with -m or -F");
+  } else {
+    // Otherwise, point the tag at the commit, or at a new annotated
+    // tag object for the commit.
+    const targetHash = Refs.hash(commit || "HEAD");
+    const tagMessage = message(opts);
+    const tagHash =
+      tagMessage !== undefined
+        ? Objects.writeTag(
+            targetHash,
+            Objects.type(targetHash),
+            name,
+            Config.identity("committer"),
+            tagMessage
+          )
+        : targetHash;
+
+    Refs.write(tagRef, tagHash, oldHash === undefined ? null : oldHash);
+    if (oldHash !== undefined) {
+      return "Updated tag '" + name + "' (was " + Log.abbrev(oldHash) + ")";
+    }
   }
 };
 
 /**
  * Changes the index, working copy and HEAD to reflect the
  * content of ref. ref might be a branch name or a commit hash.
+ * If paths are passed after --, or ref names tracked files
+ * rather than a commit, only those files are checked out: from
+ * the index into the working copy, or, if ref is passed, from
+ * that commit into the index and the working copy. --ours and
+ * --theirs take a conflicted file from one side of the merge.
+ * -b <name>, -B <name> and --orphan <name> check out a new branch
+ * that starts at ref (see checkoutNewBranch()).
  *
  * @param {String} ref
- * @param {Any} _
+ * @param {Object} opts
  */
-const checkout = (ref, _) => {
+const checkout = (ref, opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
+  opts = opts || {};
 
   // Get the hash of the commit to check out.
   var toHash = Refs.hash(ref);
 
-  if (!Objects.exists(toHash)) {
+  const newBranch = [opts.b, opts.B, opts.orphan].find((n) => n !== undefined);
+  if (newBranch !== undefined || (opts.track && opts["--"] === undefined)) {
+    // Create a branch and switch to it.
+    return checkoutNewBranch(newBranch, ref, opts);
+  } else if (
+    opts["--"] === undefined &&
+    ref !== undefined &&
+    !Objects.exists(toHash) &&
+    Index.matchingFiles(ref).length > 0
+  ) {
+    // If ref is not a commit but names tracked files, check
+    // them out of the index.
+    return checkout(undefined, Object.assign({}, opts, { "--": [ref] }));
+  } else if (opts["--"] !== undefined) {
+    // Check out just the files that the paths match. Files taken
+    // from a commit are staged too. Files taken from the index
+    // already are.
+    const source = ref === undefined ? undefined : Refs.hash(ref);
+    if (ref !== undefined && (opts.ours || opts.theirs)) {
+      throw new Error("--ours and --theirs cannot be used with a commit");
+    }
+
+    const paths = restorePaths(opts["--"], ref, {
+      worktree: true,
+      staged: ref !== undefined,
+      overlay: true,
+      ours: opts.ours,
+      theirs: opts.theirs,
+    });
+    return (
+      "Updated " +
+      paths.length +
+      (paths.length === 1 ? " path" : " paths") +
+      " from " +
+      (source === undefined ? "the index" : Log.abbrev(source))
+    );
+  } else if (!Objects.exists(toHash)) {
     // Abort if ref cannot be found.
     throw new Error(ref + " did not match any file(s) known to Enkelgit");
-  } else if (Objects.type(Objects.read(toHash)) !== "commit") {
+  } else if (Objects.type(toHash) !== "commit") {
     // Abort if the hash to check out points to an object that is a not a commit.
     throw new Error("reference is not a tree: " + ref);
   } else if (
@@ -262,12 +693,13 @@ const checkout = (ref, _) => {
       // Otherwise, perform the checkout.
       process.chdir(Files.workingCopyPath());
 
-      // If the ref is in the objects directory, it must be a
-      // hash and so this checkout is detaching the head.
-      var isDetachingHead = Objects.exists(ref);
+      // If the ref is not a local branch, it must be a hash or
+      // a tag and so this checkout is detaching the head.
+      var isDetachingHead = !Refs.exists(Refs.toLocalRef(ref));
 
       // Get the list of differences between the current commit
       // and the commit to check out. Write them to the working copy.
+      const fromDesc = Refs.headBranchName() || Refs.hash("HEAD");
       WorkingCopy.write(Diff.diff(Refs.hash("HEAD"), toHash));
 
       // Write the commit being checked out to HEAD. If the head is
@@ -276,11 +708,15 @@ const checkout = (ref, _) => {
       // written to HEAD.
       Refs.write(
         "HEAD",
-        isDetachingHead ? toHash : "ref: " + Refs.toLocalRef(ref)
+        isDetachingHead ? toHash : "ref: " + Refs.toLocalRef(ref),
+        undefined,
+        "checkout: moving from " + fromDesc + " to " + ref
       );
 
       // Set the index to the contents of the commit being checked out.
-      Index.write(Index.tocToIndex(Objects.commitToc(toHash)));
+      const index = Index.session();
+      index.replace(Index.tocToIndex(Objects.commitToc(toHash)));
+      index.flush();
 
       // Report the result of the checkout.
       return isDetachingHead
@@ -290,39 +726,454 @@ const checkout = (ref, _) => {
   }
 };
 
+/**
+ * Creates the branch called name at startPoint, or at HEAD if
+ * startPoint is not passed, and checks it out. Local changes are
+ * kept, unless they would be overwritten. If name is already a
+ * branch, it is an error, unless -B was passed, in which case the
+ * branch is reset to startPoint. --orphan checks out a branch with
+ * no commits, so the next commit has no parents, and leaves the
+ * index and working copy with the content of startPoint. In a
+ * repository with no commits, the new branch is also unborn.
+ * --track records startPoint, a remote or local branch, as the
+ * branch's upstream. If name is not passed, --track names the new
+ * branch after the remote branch, eg. feature for origin/feature.
+ *
+ * @param {String} name
+ * @param {String} startPoint
+ * @param {Object} opts
+ */
+const checkoutNewBranch = (name, startPoint, opts) => {
+  const remote = Object.keys(Config.read().remote || {}).find(
+    (r) => startPoint !== undefined && startPoint.startsWith(r + "/")
+  );
+  const upstream =
+    startPoint === undefined
+      ? undefined
+      : remote !== undefined && Refs.exists("refs/remotes/" + startPoint)
+      ? { remote, merge: startPoint.slice(remote.length + 1) }
+      : Refs.exists(Refs.toLocalRef(startPoint))
+      ? { remote: ".", merge: startPoint }
+      : undefined;
+  name =
+    name === undefined && upstream !== undefined && upstream.remote !== "."
+      ? upstream.merge
+      : name;
+
+  const ref = Refs.toLocalRef(name);
+  const fromHash = Refs.hash("HEAD");
+  const toHash = Refs.hash(startPoint || "HEAD");
+  const option = opts.orphan !== undefined ? "orphan" : opts.B ? "B" : "b";
+  if (!Utils.isString(name)) {
+    // Abort if the new branch was not named.
+    throw new Error(
+      opts.track && opts[option] === undefined
+        ? "missing branch name; try -b"
+        : "switch '" + option + "' requires a value"
+    );
+  } else if (!Refs.isRef(ref)) {
+    // Abort if name breaks the rules for ref names.
+    throw new Error("'" + name + "' is not a valid branch name");
+  } else if (Refs.exists(ref) && option !== "B") {
+    // Abort because a branch called name already exists.
+    throw new Error("A branch named " + name + " already exists");
+  } else if (
+    startPoint !== undefined &&
+    (toHash === undefined || Objects.type(toHash) !== "commit")
+  ) {
+    // Abort if startPoint does not name a commit.
+    throw new Error("not a valid object name: '" + startPoint + "'");
+  } else if (opts.track && upstream === undefined) {
+    // Abort if there is no branch to track.
+    throw new Error(
+      "cannot set up tracking information; starting point '" +
+        (startPoint || "HEAD") +
+        "' is not a branch"
+    );
+  } else {
+    var paths =
+      toHash === undefined ? [] : Diff.changedFilesCommitWouldOverwrite(toHash);
+    if (paths.length > 0) {
+      // Abort if switching to startPoint would overwrite local changes.
+      throw new Error(
+        "local changes would be lost\n" + paths.join("\n") + "\n"
+      );
+    }
+
+    // Write the difference between HEAD and the start point to the
+    // working copy and the index.
+    const fromDesc = Refs.headBranchName() || fromHash;
+    if (toHash !== fromHash) {
+      process.chdir(Files.workingCopyPath());
+      WorkingCopy.write(Diff.diff(fromHash, toHash));
+      const index = Index.session();
+      index.replace(Index.tocToIndex(Objects.commitToc(toHash)));
+      index.flush();
+    }
+
+    // Point the branch at the start point, unless it is an orphan
+    // or there is no commit to point it at. Then point HEAD at it.
+    const existed = Refs.exists(ref);
+    if (option !== "orphan" && toHash !== undefined) {
+      update_ref(
+        ref,
+        toHash,
+        existed ? Refs.hash(ref) : null,
+        (existed ? "branch: Reset to " : "branch: Created from ") +
+          (startPoint || "HEAD")
+      );
+    }
+
+    Refs.write(
+      "HEAD",
+      "ref: " + ref,
+      undefined,
+      option === "orphan" || toHash === undefined
+        ? undefined
+        : "checkout: moving from " + fromDesc + " to " + name
+    );
+
+    const lines = [
+      (existed
+        ? "Switched to and reset branch '"
+        : "Switched to a new branch '") +
+        name +
+        "'",
+    ];
+    if (opts.track) {
+      // Record the upstream in the branch's section of the config.
+      Config.write(
+        Utils.setIn(Config.read(), [
+          "branch",
+          name,
+          { remote: upstream.remote, merge: Refs.toLocalRef(upstream.merge) },
+        ])
+      );
+      lines.unshift(
+        "branch '" +
+          name +
+          "' set up to track '" +
+          (upstream.remote === "." ? "" : upstream.remote + "/") +
+          upstream.merge +
+          "'."
+      );
+    }
+
+    return lines.join("\n");
+  }
+};
+
+/**
+ * Restores the files that path, and any paths passed after --,
+ * match in the working copy to their content in the index. With
+ * --staged, the index entries are restored to their content in
+ * HEAD instead, and --worktree asks for both. --source=<commit>
+ * takes the files from commit. Files that the source doesn't have
+ * are deleted. --ours and --theirs take a conflicted file from
+ * one side of the merge.
+ *
+ * @param {String} path
+ * @param {Object} opts
+ */
+const restore = (path, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  const pathSpecs = (path === undefined ? [] : [path]).concat(opts["--"] || []);
+  const worktree = opts.worktree || !opts.staged;
+  if (pathSpecs.length === 0) {
+    // Abort if there is nothing to restore.
+    throw new Error("you must specify path(s) to restore");
+  } else if ((opts.ours || opts.theirs) && (opts.staged || opts.source)) {
+    // Abort if a side of a merge was asked for along with another
+    // source. The sides of a merge are only in the index.
+    throw new Error("--ours and --theirs cannot be used with a source");
+  } else {
+    if (worktree) {
+      Config.assertNotBare();
+    }
+
+    restorePaths(
+      pathSpecs,
+      opts.source === undefined && opts.staged ? "HEAD" : opts.source,
+      {
+        worktree,
+        staged: opts.staged,
+        ours: opts.ours,
+        theirs: opts.theirs,
+      }
+    );
+  }
+};
+
+/**
+ * Sets the files that pathSpecs match to their content in source,
+ * a commit, or in the index if source is undefined. A path spec is
+ * relative to the current directory and may be a file, a directory
+ * or a glob (see Index.matchingFiles()). opts.worktree writes the
+ * files into the working copy and opts.staged writes them into the
+ * index. Files that are tracked but not in source are deleted,
+ * unless opts.overlay is true. opts.ours and opts.theirs take
+ * conflicted files from index stage 2 or 3. If source is HEAD and
+ * there are no commits yet, the source is empty. It returns the
+ * paths, relative to the root of the working copy, that matched.
+ *
+ * @param {Array} pathSpecs
+ * @param {String} source
+ * @param {Object} opts
+ */
+const restorePaths = (pathSpecs, source, opts) => {
+  const sourceHash = source === undefined ? undefined : Refs.hash(source);
+  const stage = opts.ours ? 2 : opts.theirs ? 3 : 0;
+  if (
+    source !== undefined &&
+    !(source === "HEAD" && sourceHash === undefined) &&
+    (sourceHash === undefined || Objects.type(sourceHash) !== "commit")
+  ) {
+    // Abort if source does not name a commit.
+    throw new Error("could not resolve '" + source + "'");
+  }
+
+  // Get the content of each file in the source. From the index,
+  // a conflicted file has content only if a side was picked.
+  const entries = Index.read();
+  const sourceToc =
+    source !== undefined
+      ? sourceHash === undefined
+        ? {}
+        : Objects.commitToc(sourceHash)
+      : Object.keys(entries)
+          .map(Index.keyPieces)
+          .filter((k) => k.stage === 0 || k.stage === stage)
+          .reduce(
+            (toc, k) =>
+              Utils.setIn(toc, [k.path, entries[Index.key(k.path, k.stage)]]),
+            {}
+          );
+
+  // The paths that path specs can match. Tracked files are included
+  // so that files the source doesn't have are deleted and conflicted
+  // files are reported.
+  const known = Utils.unique(
+    Object.keys(sourceToc).concat(
+      opts.overlay && source !== undefined ? [] : Object.keys(Index.toc())
+    )
+  );
+  const paths = Utils.unique(
+    Utils.flatten(
+      pathSpecs.map((spec) => {
+        const matched = Index.matchingFiles(spec, known);
+        if (matched.length === 0) {
+          // Abort if a path spec matches no file.
+          throw new Error(
+            "pathspec '" +
+              spec +
+              "' did not match any file(s) known to Enkelgit"
+          );
+        }
+
+        return matched;
+      })
+    )
+  );
+
+  const unmerged = paths.find(
+    (p) => source === undefined && sourceToc[p] === undefined
+  );
+  if (unmerged !== undefined) {
+    // Abort if a conflicted file has no content to restore.
+    throw new Error(
+      stage === 0
+        ? "path '" + unmerged + "' is unmerged"
+        : "path '" +
+          unmerged +
+          "' does not have " +
+          (stage === 2 ? "our" : "their") +
+          " version"
+    );
+  }
+
+  // Pick out the content of the matched paths.
+  const pick = (toc) =>
+    paths
+      .filter((p) => toc[p] !== undefined)
+      .reduce((o, p) => Utils.setIn(o, [p, toc[p]]), {});
+
+  if (opts.worktree) {
+    // Write the files into the working copy, deleting the ones
+    // that the source doesn't have.
+    process.chdir(Files.workingCopyPath());
+    WorkingCopy.write(
+      Diff.tocDiff(pick(Index.workingCopyToc()), pick(sourceToc))
+    );
+  }
+
+  if (opts.staged) {
+    // Replace the index entries of the files, at every stage,
+    // with the source's content, which resolves any conflicts.
+    const index = Index.session();
+    const idx = index.read();
+    const kept = Object.keys(idx)
+      .filter((k) => paths.indexOf(Index.keyPieces(k).path) === -1)
+      .reduce((o, k) => Utils.setIn(o, [k, idx[k]]), {});
+    index.replace(Object.assign(kept, Index.tocToIndex(pick(sourceToc))));
+    index.flush();
+  }
+
+  return paths;
+};
+
+/**
+ * Moves the current branch, or HEAD if it is detached, to commit,
+ * or to HEAD if commit is not passed. --soft only moves the branch.
+ * --mixed, the default, also sets the index to the content of
+ * commit, and --hard sets the working copy to it too, throwing
+ * away any changes to tracked files. The commit the branch was on
+ * before is recorded in ORIG_HEAD. If paths are passed after --,
+ * the branch stays where it is and only the index entries for
+ * those paths are set to their content in commit.
+ *
+ * @param {String} commit
+ * @param {Object} opts
+ */
+const reset = (commit, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  var toHash = Refs.hash(commit || "HEAD");
+  var paths = opts["--"] || [];
+  if (commit !== undefined && toHash === undefined && paths.length === 0) {
+    // If commit is not a revision, it is a path to reset to HEAD.
+    paths = [commit];
+    commit = undefined;
+    toHash = Refs.hash("HEAD");
+  }
+
+  const modes = ["soft", "mixed", "hard"].filter((m) => opts[m]);
+  if (modes.length > 1) {
+    // Abort if more than one mode was asked for.
+    throw new Error("--soft, --mixed and --hard cannot be used together");
+  } else if (
+    commit !== undefined &&
+    (toHash === undefined || Objects.type(toHash) !== "commit")
+  ) {
+    // Abort if commit does not name a commit.
+    throw new Error("could not parse object '" + commit + "'");
+  } else if (paths.length > 0) {
+    if (modes.length > 0) {
+      // Abort if a mode was passed with paths. Only the index
+      // can be reset path by path.
+      throw new Error("cannot do a " + modes[0] + " reset with paths");
+    } else {
+      restorePaths(paths, commit || "HEAD", { staged: true });
+    }
+  } else if (toHash === undefined) {
+    // Abort if there is no commit to reset to.
+    throw new Error("failed to resolve 'HEAD' as a valid ref");
+  } else if (opts.soft && Merge.isMergeInProgress()) {
+    // Abort a soft reset during a merge, because it would leave
+    // the merge's index behind without the merge state to commit it.
+    throw new Error("cannot do a soft reset in the middle of a merge");
+  } else {
+    if (!opts.soft) {
+      Config.assertNotBare();
+    }
+
+    // Record where the branch was, so the reset can be undone,
+    // then move it.
+    const fromHash = Refs.hash("HEAD");
+    Refs.write("ORIG_HEAD", fromHash);
+    update_ref(
+      "HEAD",
+      toHash,
+      fromHash,
+      "reset: moving to " + (commit || "HEAD")
+    );
+
+    if (Merge.isMergeInProgress()) {
+      // Resetting the index abandons any merge in progress.
+      fs.unlinkSync(Files.enkelgitPath("MERGE_MSG"));
+      Refs.rm("MERGE_HEAD");
+    }
+
+    if (opts.hard) {
+      // Turn every tracked file in the working copy into its
+      // version in the commit. Files the commit doesn't have are
+      // deleted.
+      process.chdir(Files.workingCopyPath());
+      WorkingCopy.write(
+        Diff.tocDiff(Index.workingCopyToc(), Objects.commitToc(toHash))
+      );
+    }
+
+    if (!opts.soft) {
+      // Set the index to the contents of the commit.
+      const index = Index.session();
+      index.replace(Index.tocToIndex(Objects.commitToc(toHash)));
+      index.flush();
+    }
+
+    if (opts.hard) {
+      return "HEAD is now at " + Log.expand(toHash, "%h %s");
+    } else if (!opts.soft) {
+      // List the changes that are now only in the working copy.
+      const unstaged = Diff.nameStatus(Diff.diff());
+      const lines = Object.keys(unstaged).map((p) => unstaged[p] + "\t" + p);
+      if (lines.length > 0) {
+        return ["Unstaged changes after reset:"].concat(lines).join("\n");
+      }
+    }
+  }
+};
+
 /**
  * Shows the changes required to go from the ref1 commit to the ref2 commit.
+ * By default the changes are shown line by line as a unified diff, with
+ * -U <n> or --unified=<n> unchanged lines of context around each change.
+ * --stat summarizes the lines changed per file, --name-only lists the
+ * changed files and --name-status lists them with how they changed.
  *
  * @param {String} ref1
  * @param {String} ref2
+ * @param {Object} opts
  */
-const diff = (ref1, ref2) => {
+const diff = (ref1, ref2, opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
+  opts = opts || {};
 
+  const context = opts.U !== undefined ? opts.U : opts.unified;
   if (ref1 !== undefined && Refs.hash(ref1) === undefined) {
     // Abort if ref1 was supplied, but it does not resolve to a hash.
     throw new Error("ambiguous argument " + ref1 + ": unknown revision");
   } else if (ref2 !== undefined && Refs.hash(ref2) === undefined) {
     // Abort if ref2 was supplied, but it does not resolve to a hash.
     throw new Error("ambiguous argument " + ref2 + ": unknown revision");
+  } else if (context !== undefined && !String(context).match(/^\d+$/)) {
+    // Abort if the number of context lines is not a number.
+    throw new Error("invalid context length " + context);
   } else {
-    // Otherwise, perform diff. Enkelgit only shows the name of each changed
-    // file and whether it was added, modified or deleted. For simplicity,
-    // the changed content is not shown. The diff happens between two versions
+    // Otherwise, perform diff. The diff happens between two versions
     // of the repository. The first version is either the hash that ref1 resolves
     // to, or the index. The second version is either the hash that ref2 resolves
     // to, or the working copy.
-    var nameToStatus = Diff.nameStatus(
-      Diff.diff(Refs.hash(ref1), Refs.hash(ref2))
-    );
+    var dif = Diff.diff(Refs.hash(ref1), Refs.hash(ref2));
+    var nameToStatus = Diff.nameStatus(dif);
 
-    // Show the path of each changed file.
-    return (
-      Object.keys(nameToStatus)
+    if (opts["name-only"]) {
+      return Object.keys(nameToStatus).join("\n");
+    } else if (opts["name-status"]) {
+      return Object.keys(nameToStatus)
         .map((path) => nameToStatus[path] + " " + path)
-        .join("\n") + "\n"
-    );
+        .join("\n");
+    } else if (opts.stat) {
+      return Diff.stat(dif).join("\n");
+    } else {
+      return Diff.patch(
+        dif,
+        context === undefined ? undefined : parseInt(context, 10)
+      ).join("\n");
+    }
   }
 };
 
@@ -366,6 +1217,12 @@ const fetch = (remote, branch) => {
   } else if (!(remote in Config.read().remote)) {
     // Abort if remote not recorded in config file.
     throw new Error(remote + " does not appear to be a git repository");
+  } else if (
+    Utils.onRemote(Config.read().remote[remote].url)(Config.objectFormat) !==
+    Config.objectFormat()
+  ) {
+    // Abort if the remote addresses its objects by a different digest.
+    throw new Error(remote + " uses a different object format");
   } else {
     // Get the location of the remote.
     const remoteUrl = Config.read().remote[remote].url;
@@ -391,11 +1248,42 @@ const fetch = (remote, branch) => {
       // getting all the objects required to recreate locally the commit the
       // remote branch is on)
       const remoteObjects = Utils.onRemote(remoteUrl)(Objects.allObjects);
-      remoteObjects.forEach(Objects.write);
+      remoteObjects.forEach((o) => Objects.write(o.content, o.type));
 
       // Set the contents of the file at .enkelgit/refs/remotes/[remote]/[branch]
       // to newHash, the hash of the commit that the remote branch is on.
-      update_ref(remoteRef, newHash);
+      update_ref(
+        remoteRef,
+        newHash,
+        oldHash === undefined ? null : oldHash,
+        oldHash === undefined
+          ? "fetch: storing head"
+          : Merge.isAForceFetch(oldHash, newHash)
+          ? "fetch: forced-update"
+          : "fetch: fast-forward"
+      );
+
+      // Create local copies of the remote's tags. A tag that exists
+      // locally is never changed: it is reported if the remote's
+      // tag of the same name points somewhere else.
+      const remoteTags = Utils.onRemote(remoteUrl)(Refs.tags);
+      const localTags = Refs.tags();
+      const tagLines = Object.keys(remoteTags)
+        .filter((t) => localTags[t] !== remoteTags[t])
+        .map((t) => {
+          if (localTags[t] !== undefined) {
+            return (
+              " ! [rejected] " +
+              t +
+              " -> " +
+              t +
+              " (would clobber existing tag)"
+            );
+          } else {
+            Refs.write(Refs.toTagRef(t), remoteTags[t], null);
+            return " * [new tag] " + t + " -> " + t;
+          }
+        });
 
       // Record the hash of the commit that the remote branch is on in FETCH_HEAD.
       // (The user can call enkelgit merge FETCH_HEAD to merge the remote version
@@ -416,7 +1304,9 @@ const fetch = (remote, branch) => {
             "/" +
             branch +
             (Merge.isAForceFetch(oldHash, newHash) ? " (forced)" : ""),
-        ].join("\n") + "\n"
+        ]
+          .concat(tagLines)
+          .join("\n") + "\n"
       );
     }
   }
@@ -426,11 +1316,14 @@ const fetch = (remote, branch) => {
  * Finds the set of differences between the commit that the currently
  * checked out branch is on and the commit that ref points to. It
  * finds or creates a commit that applies these differences to the
- * checked out branch.
+ * checked out branch. Files changed on both sides are merged line by
+ * line. Regions that both sides changed are marked as conflicts. If
+ * --conflict=diff3 is passed, the markers also show the base version.
  *
  * @param {String} ref
+ * @param {Object} opts
  */
-const merge = (ref) => {
+const merge = (ref, opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
 
@@ -446,10 +1339,7 @@ const merge = (ref) => {
     // Abort if head is detached. Merging into a detached
     // head is not supported.
     throw new Error("unsupported");
-  } else if (
-    giverHash === undefined ||
-    Objects.type(Objects.read(giverHash)) !== "commit"
-  ) {
+  } else if (giverHash === undefined || Objects.type(giverHash) !== "commit") {
     // Abort if ref did not resolve to a hash, or if that
     // hash is not for a commit object.
     throw new Error(ref + ": expected commit type");
@@ -472,8 +1362,13 @@ const merge = (ref) => {
       // If the receiver is an ancestor of the giver, a fast forward
       // is performed. This is possible because there is already a
       // commit that incorporates all of the giver’s changes into
-      // the receiver.
-      Merge.writeFastForwardMerge(receiverHash, giverHash);
+      // the receiver. Where the branch was is recorded in ORIG_HEAD.
+      Refs.write("ORIG_HEAD", receiverHash);
+      Merge.writeFastForwardMerge(
+        receiverHash,
+        giverHash,
+        "merge " + ref + ": Fast-forward"
+      );
       return "Fast-forward";
     } else {
       // If the receiver is not an ancestor of the giver, a
@@ -489,13 +1384,27 @@ const merge = (ref) => {
       // index and working copy. Modified files are modified in the index
       // and working copy. Files that are in conflict are written to the
       // working copy to include the receiver and giver versions. Both the
-      // receiver and giver versions are written to the index.
-      Merge.writeNonFastForwardMerge(receiverHash, giverHash, ref);
+      // receiver and giver versions are written to the index. Where
+      // the branch was is recorded in ORIG_HEAD.
+      Refs.write("ORIG_HEAD", receiverHash);
+      const mrgDiff = Merge.mergeDiff(
+        receiverHash,
+        giverHash,
+        Merge.conflictLabels(ref, opts)
+      );
+      Merge.writeNonFastForwardMerge(giverHash, ref, mrgDiff);
 
-      if (Merge.hasConflicts(receiverHash, giverHash)) {
+      if (Merge.hasConflicts(mrgDiff)) {
         // If there are any conflicted files, a message is shown to say
         // that the user must sort them out before the merge can be completed.
-        return "Automatic merge failed. Fix conflicts and commit the result.";
+        // Binary files are called out, because their working copy holds
+        // the receiver’s version rather than conflict markers.
+        return Merge.binaryConflicts(mrgDiff)
+          .map((p) => "warning: Cannot merge binary files: " + p)
+          .concat([
+            "Automatic merge failed. Fix conflicts and commit the result.",
+          ])
+          .join("\n");
       } else {
         // If there are no conflicted files, a commit is created from the
         // merged changes and the merge is over.
@@ -522,26 +1431,73 @@ const pull = (remote, branch) => {
 
 /**
  * Gets the commit that branch is on in the local repo
- * and points branch on remote at the same commit.
+ * and points branch on remote at the same commit. If
+ * branch names a tag rather than a branch, the tag is
+ * copied to remote instead. --tags copies every tag.
+ * Tags that already exist on remote are only replaced
+ * if -f is passed.
  *
  * @param {String} remote
  * @param {String} branch
  * @param {Object} opts
  */
-const push = (remote, branch, opts = {}) => {
+const push = (remote, branch, opts) => {
   Files.assertInRepo();
+  opts = opts || {};
 
-  if (remote === undefined || branch === undefined) {
+  if (remote === undefined || (branch === undefined && !opts.tags)) {
     // Abort if a remote or branch not passed.
     throw new Error("unsupported");
   } else if (!(remote in Config.read().remote)) {
     // Abort if remote not recorded in config file.
     throw new Error(remote + " does not appear to be a git repository");
+  } else if (
+    Utils.onRemote(Config.read().remote[remote].url)(Config.objectFormat) !==
+    Config.objectFormat()
+  ) {
+    // Abort if the remote addresses its objects by a different digest.
+    throw new Error(remote + " uses a different object format");
   } else {
     var remotePath = Config.read().remote[remote].url;
     var remoteCall = Utils.onRemote(remotePath);
 
-    if (remoteCall(Refs.isCheckedOut, branch)) {
+    if (
+      opts.tags ||
+      (!Refs.exists(Refs.toLocalRef(branch)) &&
+        Refs.exists(Refs.toTagRef(branch)))
+    ) {
+      // If tags are being pushed, put all the objects in the local
+      // objects directory into the remote objects directory. Then
+      // create each tag on remote, unless it is there already.
+      const localTags = Refs.tags();
+      const remoteTags = remoteCall(Refs.tags);
+      Objects.allObjects().forEach((o) =>
+        remoteCall(Objects.write, o.content, o.type)
+      );
+
+      const tagLines = (opts.tags ? Object.keys(localTags) : [branch]).map(
+        (t) => {
+          if (remoteTags[t] === localTags[t]) {
+            return " = [up to date] " + t + " -> " + t;
+          } else if (remoteTags[t] !== undefined && !opts.f) {
+            return " ! [rejected] " + t + " -> " + t + " (already exists)";
+          } else {
+            remoteCall(
+              Refs.write,
+              Refs.toTagRef(t),
+              localTags[t],
+              remoteTags[t] === undefined ? null : remoteTags[t]
+            );
+            return remoteTags[t] === undefined
+              ? " * [new tag] " + t + " -> " + t
+              : " + " + t + " -> " + t + " (forced update)";
+          }
+        }
+      );
+
+      // Report the result of the push.
+      return ["To " + remotePath].concat(tagLines).join("\n") + "\n";
+    } else if (remoteCall(Refs.isCheckedOut, branch)) {
       // Abort if remote repository is not bare and branch is checked out.
       throw new Error("refusing to update checked out branch " + branch);
     } else {
@@ -567,15 +1523,26 @@ const push = (remote, branch, opts = {}) => {
         // Otherwise, do the push. Put all the objects in the local objects
         // directory into the remote objects directory.
         Objects.allObjects().forEach(function (o) {
-          remoteCall(objects.write, o);
+          remoteCall(Objects.write, o.content, o.type);
         });
 
         // Point branch on remote at giverHash.
-        remoteCall(update_ref(), Refs.toLocalRef(branch), giverHash);
+        remoteCall(
+          update_ref,
+          Refs.toLocalRef(branch),
+          giverHash,
+          undefined,
+          "push"
+        );
 
         // Set the local repo’s record of what commit branch is on at remote
         // to giverHash (since that is what it is now is).
-        update_ref(refs.toRemoteRef(remote, branch), giverHash);
+        update_ref(
+          Refs.toRemoteRef(remote, branch),
+          giverHash,
+          undefined,
+          "update by push"
+        );
 
         // Report the result of the push.
         return (
@@ -615,10 +1582,13 @@ const clone = (remotePath, targetPath, opts = {}) => {
       fs.mkdirSync(targetPath);
     }
 
+    // The clone addresses its objects by the same digest as the remote.
+    const objectFormat = Utils.onRemote(remotePath)(Config.objectFormat);
+
     // In the directory for the new remote repository…
     Utils.onRemote(targetPath)(function () {
       // Initialize the directory as a Enkelgit repository.
-      init(opts);
+      init(Object.assign({}, opts, { "object-format": objectFormat }));
 
       // Set up remotePath as a remote called “origin”.
       remote("add", "origin", nodePath.relative(process.cwd(), remotePath));
@@ -633,7 +1603,11 @@ const clone = (remotePath, targetPath, opts = {}) => {
       // to point at that commit.
       if (remoteHeadHash !== undefined) {
         fetch("origin", "master");
-        Merge.writeFastForwardMerge(undefined, remoteHeadHash);
+        Merge.writeFastForwardMerge(
+          undefined,
+          remoteHeadHash,
+          "clone: from " + remotePath
+        );
       }
     });
 
@@ -646,43 +1620,376 @@ const clone = (remotePath, targetPath, opts = {}) => {
  * Reports the state of the repo: the current branch,
  * untracked files, conflicted files, files that are
  * staged to be committed and files that are not staged
- * to be committed.
+ * to be committed. --short (or -s) reports one line per
+ * path, --porcelain does the same in a format that stays
+ * stable for scripts, and --json reports it all as JSON.
  *
- * @param {Any} _
+ * @param {Object} opts
  */
-const status = (_) => {
+const status = (opts) => {
   Files.assertInRepo();
   Config.assertNotBare();
-  return Status.toString();
+  opts = opts || {};
+
+  if (opts.json) {
+    return Status.toJson();
+  } else if (opts.porcelain || opts.short || opts.s) {
+    return Status.toShortString(opts.porcelain === true);
+  } else {
+    return Status.toString();
+  }
+};
+
+/**
+ * Prints path if it is ignored by an ignore file. -v also prints
+ * the rule that matched, and the file and line it came from. If
+ * path is not ignored, it fails.
+ *
+ * @param {String} path
+ * @param {Object} opts
+ */
+const check_ignore = (path, opts) => {
+  Files.assertInRepo();
+  Config.assertNotBare();
+  opts = opts || {};
+
+  if (path === undefined) {
+    throw new Error("no path specified");
+  }
+
+  const pathFromRoot = Files.pathFromRepoRoot(path);
+  const rule = Ignore.matcher()(pathFromRoot);
+  if (!Ignore.isIgnored(pathFromRoot, () => rule)) {
+    // Abort if no rule ignores path, or the last one re-includes it.
+    throw new Error(path + " is not ignored");
+  } else if (opts.v && rule !== undefined) {
+    return rule.source + ":" + rule.line + ":" + rule.pattern + "\t" + path;
+  } else {
+    return path;
+  }
+};
+
+/**
+ * Shows the commit history, newest first, starting from ref, or
+ * from HEAD if ref is not passed. ref may be a range like A..B to
+ * show the commits in B that are not in A. -n limits the number
+ * of commits shown. --oneline and --format=<placeholders> change
+ * how each commit is shown. --graph draws the branching history
+ * and --decorate shows the refs that point at each commit.
+ * Paths passed after -- restrict the
+ * history to the commits that changed those paths.
+ *
+ * @param {String} ref
+ * @param {Object} opts
+ */
+const log = (ref, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  if (opts.n === true) {
+    // Abort if -n was not given a number.
+    throw new Error("switch 'n' requires a value");
+  } else if (opts.n !== undefined && String(opts.n).match(/^\d+$/) === null) {
+    // Abort if the limit is not a non-negative integer.
+    throw new Error("'" + opts.n + "' is not a non-negative integer");
+  } else if (ref === undefined && Refs.hash("HEAD") === undefined) {
+    // Abort if there is no history to show.
+    throw new Error(
+      "your current branch '" +
+        Refs.headBranchName() +
+        "' does not have any commits yet"
+    );
+  } else {
+    const paths = (opts["--"] || []).map(Files.pathFromRepoRoot);
+    const limit = opts.n === undefined ? Infinity : parseInt(opts.n, 10);
+    return Log.toString(Log.commits(ref || "HEAD", paths, limit), opts);
+  }
+};
+
+/**
+ * Shows or expires the log of where a ref has pointed. reflog, or
+ * reflog show, lists the entries for ref, or for HEAD if no ref is
+ * passed, newest first, each as the commit and the name that reads
+ * it, eg. master@{1}. reflog expire removes entries older than the
+ * date passed with --expire, or older than 90 days if none is. It
+ * expires the log of ref, or of HEAD, or every log if --all is
+ * passed.
+ *
+ * @param {String} command
+ * @param {String} ref
+ * @param {Object} opts
+ */
+const reflog = (command, ref, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  if (command !== undefined && command !== "show" && command !== "expire") {
+    // A ref passed without a subcommand is shown.
+    return reflog("show", command, opts);
+  } else if (command === "expire") {
+    const before =
+      opts.expire === undefined
+        ? Date.now() - Reflog.DEFAULT_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+        : Reflog.parseDate(String(opts.expire));
+    if (before === undefined) {
+      // Abort if the date passed can't be read.
+      throw new Error("malformed expiration date '" + opts.expire + "'");
+    } else {
+      const refs = opts.all ? Reflog.refs() : [Refs.logRef(ref || "HEAD")];
+      const count = refs.reduce((n, r) => n + Reflog.expire(r, before), 0);
+      return "Expired " + count + " reflog entries";
+    }
+  } else {
+    // Otherwise, list the entries of the log.
+    const name = ref || "HEAD";
+    return Reflog.read(Refs.logRef(name))
+      .map(
+        (e, i) =>
+          Log.abbrev(e.newHash) + " " + name + "@{" + i + "}: " + e.message
+      )
+      .join("\n");
+  }
+};
+
+/**
+ * Prints the best common ancestor of commit1 and commit2, the commit
+ * a merge of the two would be based on. --all prints every best
+ * common ancestor, as there can be several after criss-cross merges.
+ * --is-ancestor prints nothing and instead fails if commit1 is not
+ * an ancestor of commit2.
+ *
+ * @param {String} commit1
+ * @param {String} commit2
+ * @param {Object} opts
+ */
+const merge_base = (commit1, commit2, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  const resolve = (ref) => {
+    const hash = ref === undefined ? undefined : Refs.hash(ref);
+    if (ref === undefined) {
+      throw new Error("merge-base needs two commits");
+    } else if (hash === undefined || Objects.type(hash) !== "commit") {
+      throw new Error("not a valid commit name " + ref);
+    }
+
+    return hash;
+  };
+
+  const a = resolve(commit1);
+  const b = resolve(commit2);
+  if (opts["is-ancestor"]) {
+    // Fail unless commit1 is commit2 or in its history.
+    if (a !== b && !Objects.isAncestor(b, a)) {
+      throw new Error(commit1 + " is not an ancestor of " + commit2);
+    }
+  } else {
+    const bases = Merge.mergeBases([a], [b]);
+    if (bases.length === 0) {
+      // Abort if the histories of the two commits never meet.
+      throw new Error("no merge base for " + commit1 + " and " + commit2);
+    }
+
+    return (opts.all ? bases : bases.slice(0, 1)).join("\n");
+  }
+};
+
+/**
+ * Prints the hash of the object that revision names. See
+ * Refs.objectHash() for the revisions understood. An annotated tag
+ * names the tag object, unless it is followed by ^{} or ^{commit}.
+ * --short prints the shortest unique abbreviation of the hash that
+ * is at least as long as the ones log shows. --abbrev-ref prints the
+ * short name of the ref that revision names instead, eg. the checked
+ * out branch for HEAD.
+ *
+ * @param {String} revision
+ * @param {Object} opts
+ */
+const rev_parse = (revision, opts) => {
+  Files.assertInRepo();
+  opts = opts || {};
+
+  const hash = Refs.objectHash(revision);
+  if (revision === undefined) {
+    // Abort if no revision was passed.
+    throw new Error("rev-parse needs a revision");
+  } else if (hash === undefined) {
+    // Abort if revision doesn't name an object.
+    throw new Error("ambiguous argument '" + revision + "': unknown revision");
+  } else if (opts["abbrev-ref"]) {
+    // Print the ref without its refs/heads/ (or similar) prefix.
+    const upstream = revision.match(/^(.*)@\{(u|upstream)\}$/);
+    const shortName = (ref) => ref.replace(/^refs\/(heads|tags|remotes)\//, "");
+    if (upstream !== null) {
+      return shortName(
+        Refs.upstream(
+          upstream[1] === "" || upstream[1] === "HEAD"
+            ? Refs.headBranchName()
+            : upstream[1]
+        )
+      );
+    } else if (revision === "HEAD" || revision === "@") {
+      return Refs.headBranchName() || "HEAD";
+    } else {
+      return shortName(revision);
+    }
+  } else if (opts.short) {
+    // Lengthen the abbreviation until no other object shares it.
+    let length = Log.ABBREV_LENGTH;
+    while (Objects.hashesWithPrefix(hash.slice(0, length)).length > 1) {
+      length++;
+    }
+
+    return hash.slice(0, length);
+  } else {
+    return hash;
+  }
+};
+
+/**
+ * Checks that ref follows the rules for ref names (see
+ * Refs.isValidRefName()) and fails if it does not. --branch
+ * checks that ref can be used as a branch name and prints it.
+ * --allow-onelevel accepts names with no /, like "master".
+ *
+ * @param {String} ref
+ * @param {Object} opts
+ */
+const check_ref_format = (ref, opts) => {
+  opts = opts || {};
+
+  if (ref === undefined) {
+    // Abort if no ref name was passed.
+    throw new Error("check-ref-format needs a ref name");
+  } else if (opts.branch) {
+    if (ref.startsWith("-") || !Refs.isValidRefName(Refs.toLocalRef(ref))) {
+      // Abort if ref can't be a branch name.
+      throw new Error("'" + ref + "' is not a valid branch name");
+    }
+
+    return ref;
+  } else if (!Refs.isValidRefName(ref, opts["allow-onelevel"] === true)) {
+    // Abort if ref breaks the rules.
+    throw new Error("'" + ref + "' is not a valid ref name");
+  }
+};
+
+/**
+ * Converts the objects of a repository created before objects were
+ * compressed into the deflated layout that fans objects out into
+ * subdirectories by the first two characters of their hash. Objects
+ * from before objects had typed headers get new hashes, so the refs
+ * and the index are updated to point to those.
+ *
+ * @param {Any} _
+ */
+const migrate_objects = (_) => {
+  Files.assertInRepo();
+
+  const renames = Objects.migrateLooseObjects();
+  const count = Object.keys(renames).length;
+  if (count > 0) {
+    // Point the refs and the index at the objects' new hashes.
+    Refs.rehash(renames);
+    const index = Index.session();
+    const idx = index.read();
+    if (Object.keys(idx).some((k) => renames[idx[k]] !== undefined)) {
+      index.replace(
+        Object.keys(idx).reduce(
+          (o, k) => Utils.setIn(o, [k, renames[idx[k]] || idx[k]]),
+          {}
+        )
+      );
+      index.flush();
+    }
+  }
+
+  return count === 0
+    ? "Nothing to migrate"
+    : "Migrated " + count + " object" + (count === 1 ? "" : "s");
+};
+
+/**
+ * Returns the hashes of the objects that gc must keep, along with
+ * everything reachable from them: those that refs, the index and
+ * the logs of refs point at.
+ */
+const gcRoots = () =>
+  Object.values(Refs.allRefs())
+    .concat(Object.values(Index.read()))
+    .concat(Reflog.hashes());
+
+/**
+ * Gathers every object reachable from a ref, the index or the
+ * log of a ref into a single packfile, storing similar blobs as
+ * deltas against each other. Existing packs and the loose copies
+ * of the packed objects are removed.
+ *
+ * @param {Any} _
+ */
+const repack = (_) => {
+  Files.assertInRepo();
+
+  const packed = Objects.repack(gcRoots());
+  return packed === undefined
+    ? "Nothing to pack"
+    : "Packed " +
+        packed.count +
+        " objects (" +
+        packed.deltas +
+        " deltas) into " +
+        packed.name;
+};
+
+/**
+ * Cleans up the repository: packs reachable objects with repack(),
+ * moves loose refs into the packed refs file and, if --prune is
+ * passed, deletes loose objects that nothing refers to.
+ *
+ * @param {Object} opts
+ */
+const gc = (opts = {}) => {
+  Files.assertInRepo();
+
+  const lines = [repack(), "Packed " + Refs.pack() + " refs"];
+  if (opts.prune) {
+    lines.push("Pruned " + Objects.prune(gcRoots()) + " unreachable objects");
+  }
+
+  return lines.join("\n");
 };
 
 /**
  * Adds the contents of the file at path to the index,
- * or removes the file from the index.
+ * or removes the file from the index. The change is made
+ * in index, an index session, which the caller flushes.
  *
  * @param {String} path
  * @param {Object} opts
+ * @param {Object} index
  */
-const update_index = (path, opts = {}) => {
+const update_index = (path, opts, index) => {
   Files.assertInRepo();
   Config.assertNotBare();
 
   const pathFromRoot = Files.pathFromRepoRoot(path);
   const isOnDisk = fs.existsSync(path);
-  const isInIndex = Index.hasFile(path, 0);
+  const isInIndex = index.hasFile(path, 0);
 
   // Abort if path is a directory. update_index() only handles single files.
   if (isOnDisk && fs.statSync(path).isDirectory()) {
     throw new Error(pathFromRoot + " is a directory - add files inside\n");
   } else if (opts.remove && !isOnDisk && isInIndex) {
-    if (Index.isFileInConflict(path)) {
+    if (index.isFileInConflict(path)) {
       // Abort if file is being removed and is in conflict.
       // Enkelgit doesn’t support this.
       throw new Error("unsupported");
     } else {
       // If files is being removed, is not on disk and is in
       // the index, remove it from the index.
-      Index.writeRm(path);
+      index.writeRm(path);
       return "\n";
     }
   } else if (opts.remove && !isOnDisk && !isInIndex) {
@@ -698,7 +2005,14 @@ const update_index = (path, opts = {}) => {
   } else if (isOnDisk && (opts.add || isInIndex)) {
     // If file is on disk and either -add was passed or the file is
     // in the index, add the file’s current content to the index.
-    Index.writeNonConflict(path, Files.read(Files.workingCopyPath(path)));
+    // The file is stat'd before it is read, so if it changes in
+    // between, the stat data won't match it and it will be hashed.
+    const stat = Index.statOf(path);
+    index.writeNonConflict(
+      path,
+      Files.read(Files.workingCopyPath(path), null),
+      stat
+    );
     return "\n";
   } else if (!opts.remove && !isOnDisk) {
     // Abort if the file is not on disk and --remove not passed.
@@ -720,12 +2034,16 @@ const write_tree = (_) => {
 /**
  * Gets the hash of the commit that refToUpdateTo points
  * at and sets refToUpdate to point at the same hash.
+ * If oldHash is passed, refToUpdate is only updated if it
+ * still points at oldHash, or doesn't exist if oldHash is null.
+ * reason, if passed, is recorded in the ref's log.
  *
  * @param {String} refToUpdate
  * @param {String} refToUpdateTo
- * @param {Any} _
+ * @param {String} oldHash
+ * @param {String} reason
  */
-const update_ref = (refToUpdate, refToUpdateTo, _) => {
+const update_ref = (refToUpdate, refToUpdateTo, oldHash, reason) => {
   Files.assertInRepo();
 
   // Get the hash that refToUpdateTo points at.
@@ -737,7 +2055,7 @@ const update_ref = (refToUpdate, refToUpdateTo, _) => {
   } else if (!Refs.isRef(refToUpdate)) {
     // Abort if refToUpdate does not match the syntax of a ref.
     throw new Error("cannot lock the ref " + refToUpdate);
-  } else if (Objects.type(Objects.read(hash)) !== "commit") {
+  } else if (Objects.type(hash) !== "commit") {
     // Abort if hash points to an object in the objects directory
     // that is not a commit.
     var branch = Refs.terminalRef(refToUpdate);
@@ -747,7 +2065,7 @@ const update_ref = (refToUpdate, refToUpdateTo, _) => {
   } else {
     // Otherwise, set the contents of the file that the
     // ref represents to hash.
-    Refs.write(Refs.terminalRef(refToUpdate), hash);
+    Refs.write(Refs.terminalRef(refToUpdate), hash, oldHash, reason);
   }
 };
 
@@ -756,14 +2074,26 @@ module.exports = {
   add,
   rm,
   status,
+  check_ignore,
+  log,
+  reflog,
   commit,
   branch,
+  tag,
   checkout,
+  restore,
+  reset,
   diff,
   remote,
   fetch,
   merge,
+  merge_base,
+  rev_parse,
+  check_ref_format,
   pull,
   push,
   clone,
+  migrate_objects,
+  repack,
+  gc,
 };
@@ -1,4 +1,6 @@
+const LineDiff = require("./LineDiff");
 const Objects = require("./Objects");
+const Files = require("./Files");
 const Index = require("./Index");
 const Utils = require("./Utils");
 const Refs = require("./Refers");
@@ -11,6 +13,11 @@ const FILE_STATUS = {
   CONFLICT: "CONFLICT",
 };
 
+/**
+ * Longest bar of + and - that stat() draws for a file.
+ */
+const STAT_BAR_WIDTH = 40;
+
 /**
  * returns a diff object (see above for the format of a diff object).
  * If hash1 is passed, it is used as the first version in the diff.
@@ -28,6 +35,140 @@ const diff = (hash1, hash2) => {
   return tocDiff(a, b);
 };
 
+/**
+ * Returns the content of the version of the file at path that
+ * hash identifies. Versions from the index or a commit are read
+ * from the objects database. A version from the working copy is
+ * only hashed, not stored, so it is read from disk instead.
+ *
+ * @param {String} hash
+ * @param {String} path
+ */
+const blobContent = (hash, path) => {
+  if (hash === undefined) {
+    return undefined;
+  } else if (Objects.exists(hash)) {
+    return Objects.read(hash);
+  } else {
+    return Files.read(Files.workingCopyPath(path), null);
+  }
+};
+
+/**
+ * Returns the two versions of the file at path in dif, the
+ * receiver’s as a and the giver’s as b, and whether either
+ * of them is binary.
+ *
+ * @param {Object} dif
+ * @param {String} path
+ */
+const fileVersions = (dif, path) => {
+  const a = blobContent(dif[path].receiver, path);
+  const b = blobContent(dif[path].giver, path);
+  return { a, b, isBinary: Utils.isBinary(a) || Utils.isBinary(b) };
+};
+
+/**
+ * Returns the changes in dif as a patch in unified diff format.
+ * Each changed file gets a header naming both versions, followed
+ * by hunks of changed lines with context unchanged lines around
+ * them. Binary files are only reported as differing.
+ *
+ * @param {Object} dif
+ * @param {Number} context
+ */
+const patch = (dif, context = LineDiff.DEFAULT_CONTEXT) => {
+  const ns = nameStatus(dif);
+  return Utils.flatten(
+    Object.keys(ns).map((p) => {
+      const versions = fileVersions(dif, p);
+      const aName = versions.a === undefined ? "/dev/null" : "a/" + p;
+      const bName = versions.b === undefined ? "/dev/null" : "b/" + p;
+      const header = ["diff --git a/" + p + " b/" + p].concat(
+        ns[p] === FILE_STATUS.ADD
+          ? ["new file"]
+          : ns[p] === FILE_STATUS.DELETE
+          ? ["deleted file"]
+          : []
+      );
+
+      return versions.isBinary
+        ? header.concat(["Binary files " + aName + " and " + bName + " differ"])
+        : header.concat(
+            ["--- " + aName, "+++ " + bName],
+            LineDiff.unified(
+              (versions.a || "").toString(),
+              (versions.b || "").toString(),
+              context
+            )
+          );
+    })
+  );
+};
+
+/**
+ * Returns a summary of the changes in dif: a line for each changed
+ * file with the number of lines changed and a bar of + and - showing
+ * the share of insertions and deletions, then the totals.
+ *
+ * @param {Object} dif
+ */
+const stat = (dif) => {
+  const ns = nameStatus(dif);
+  const files = Object.keys(ns).map((p) => {
+    const versions = fileVersions(dif, p);
+    if (versions.isBinary) {
+      return { path: p, isBinary: true, added: 0, deleted: 0 };
+    } else {
+      const edits = LineDiff.diffLines(
+        LineDiff.splitLines((versions.a || "").toString()),
+        LineDiff.splitLines((versions.b || "").toString())
+      );
+      return {
+        path: p,
+        isBinary: false,
+        added: edits.filter((e) => e.type === "+").length,
+        deleted: edits.filter((e) => e.type === "-").length,
+      };
+    }
+  });
+
+  if (files.length === 0) {
+    return [];
+  }
+
+  const pathWidth = Math.max(...files.map((f) => f.path.length));
+  const most = Math.max(...files.map((f) => f.added + f.deleted));
+  const scale = most > STAT_BAR_WIDTH ? STAT_BAR_WIDTH / most : 1;
+  const added = files.reduce((n, f) => n + f.added, 0);
+  const deleted = files.reduce((n, f) => n + f.deleted, 0);
+
+  return files
+    .map((f) => {
+      const change = f.isBinary ? "Bin" : String(f.added + f.deleted);
+      const bar = f.isBinary
+        ? ""
+        : " " +
+          "+".repeat(Math.ceil(f.added * scale)) +
+          "-".repeat(Math.ceil(f.deleted * scale));
+      return " " + f.path.padEnd(pathWidth) + " | " + change + bar;
+    })
+    .concat([
+      " " +
+        files.length +
+        (files.length === 1 ? " file" : " files") +
+        " changed, " +
+        added +
+        " insertion" +
+        (added === 1 ? "" : "s") +
+        "(+), " +
+        deleted +
+        " deletion" +
+        (deleted === 1 ? "" : "s") +
+        "(-)",
+    ]);
+};
+
 /**
  * Takes a diff and returns a JS object that maps from file paths to file statuses.
  * @param {Object} dif
@@ -130,7 +271,10 @@ const addedOrModifiedFiles = () => {
 
 module.exports = {
   diff,
+  blobContent,
   nameStatus,
+  patch,
+  stat,
   tocDiff,
   changedFilesCommitWouldOverwrite,
   addedOrModifiedFiles,
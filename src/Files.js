@@ -29,7 +29,7 @@ const pathFromRepoRoot = (path) =>
 
 /**
  * Writes content to file at path, overwriting anything
- * that is already there.
+ * that is already there. content may be a string or a Buffer.
  * @param {String} path
  * @param {String} content
  */
@@ -41,6 +41,101 @@ const write = (path, content) => {
   );
 };
 
+/**
+ * Suffix of the lock file that guards a file while it is rewritten.
+ */
+const LOCK_SUFFIX = ".lock";
+
+/**
+ * Rewrites the file at path safely. The file is locked by creating
+ * path.lock, which fails if another process already holds the lock.
+ * update is then called with the current content of the file, decoded
+ * with encoding (see read()), and the content it returns is written
+ * to the lock file. The lock file is then renamed over the file, so
+ * the file is replaced in one step and never seen half written.
+ * If update throws, or returns undefined, the file is left as it
+ * was. Either way, the lock is released.
+ *
+ * @param {String} path
+ * @param {Function} update
+ * @param {String} encoding
+ */
+const updateLocked = (path, update, encoding = "utf8") => {
+  if (!tryUpdateLocked(path, update, encoding)) {
+    // Abort if another process holds the lock.
+    throw new Error(
+      "unable to create " +
+        path +
+        LOCK_SUFFIX +
+        ": another enkelgit process seems to be running in this" +
+        " repository. If no other process is running, remove the" +
+        " lock file and try again"
+    );
+  }
+};
+
+/**
+ * Like updateLocked(), but if another process holds the lock, the
+ * file is left as it is and false is returned, rather than throwing.
+ * Otherwise it returns true.
+ *
+ * @param {String} path
+ * @param {Function} update
+ * @param {String} encoding
+ */
+const tryUpdateLocked = (path, update, encoding = "utf8") => {
+  const lockPath = path + LOCK_SUFFIX;
+  fs.mkdirSync(nodePath.dirname(path), { recursive: true });
+
+  let fd;
+  try {
+    fd = fs.openSync(lockPath, "wx");
+  } catch (e) {
+    if (e.code === "EEXIST") {
+      // Give up if another process holds the lock.
+      return false;
+    }
+
+    throw e;
+  }
+
+  try {
+    const content = update(read(path, encoding));
+    if (content !== undefined) {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    }
+
+    fs.closeSync(fd);
+    fd = undefined;
+    if (content !== undefined) {
+      // Replace the file with the new content.
+      fs.renameSync(lockPath, path);
+    } else {
+      // Otherwise, leave the file as it was.
+      fs.unlinkSync(lockPath);
+    }
+  } catch (e) {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+
+    fs.unlinkSync(lockPath);
+    throw e;
+  }
+
+  return true;
+};
+
+/**
+ * Writes content to the file at path, replacing it in one step
+ * under its lock (see updateLocked()).
+ *
+ * @param {String} path
+ * @param {String} content
+ */
+const writeLocked = (path, content) => updateLocked(path, () => content);
+
 /**
  * Takes tree of files as a nested JS obj and writes all those
  * files to disk taking prefix as the root of the tree.
@@ -52,7 +147,7 @@ const write = (path, content) => {
 const writeFilesFromTree = (tree, prefix) => {
   Object.keys(tree).forEach((name) => {
     let path = nodePath.join(prefix, name);
-    if (Utils.isString(tree[name])) {
+    if (Utils.isString(tree[name]) || Buffer.isBuffer(tree[name])) {
       fs.writeFileSync(path, tree[name]);
     } else {
       if (!fs.existsSync(path)) {
@@ -80,14 +175,16 @@ const rmEmptyDirs = (path) => {
 };
 
 /**
- * Returns the contents of the file at path as a string.
+ * Returns the contents of the file at path as a string decoded
+ * with encoding, or as a Buffer if encoding is null.
  * It returns undefined if the file doesn’t exist.
  *
  * @param {String} path
+ * @param {String} encoding
  */
-const read = (path) => {
+const read = (path, encoding = "utf8") => {
   if (fs.existsSync(path)) {
-    return fs.readFileSync(path, "utf8");
+    return fs.readFileSync(path, encoding);
   }
 };
 
@@ -197,6 +294,10 @@ module.exports = {
   assertInRepo,
   pathFromRepoRoot,
   write,
+  LOCK_SUFFIX,
+  updateLocked,
+  tryUpdateLocked,
+  writeLocked,
   writeFilesFromTree,
   rmEmptyDirs,
   read,
@@ -0,0 +1,134 @@
+/**
+ * Returns the lines of an ASCII graph of commits. commits is an
+ * array of { hash, parents, lines } ordered so that every commit
+ * comes before its parents, where lines holds the text to show
+ * beside the commit. Each branch of history gets a lane: a column
+ * of | characters. A commit is drawn as * in its lane. Lanes split
+ * with \ after a merge and join with / where histories meet.
+ * Parents that are not in commits are ignored.
+ *
+ * eg. render([
+ *   { hash: "c", parents: ["a", "b"], lines: ["merge"] },
+ *   { hash: "b", parents: ["a"], lines: ["feature"] },
+ *   { hash: "a", parents: [], lines: ["root"] },
+ * ]); // => ["*   merge", "|\\", "| * feature", "|/", "* root"]
+ *
+ * @param {Array} commits
+ */
+const render = (commits) => {
+  const shown = new Set(commits.map((c) => c.hash));
+  let columns = [];
+
+  return commits.reduce((out, commit) => {
+    // Find the lane waiting for this commit, or start a new one.
+    let idx = columns.indexOf(commit.hash);
+    if (idx === -1) {
+      columns = columns.concat([commit.hash]);
+      idx = columns.length - 1;
+    }
+
+    // Work out the lanes of the next row. The commit's lane is taken
+    // over by its parents. A lane whose commit already has a lane
+    // joins that lane instead of getting one of its own.
+    const parents = commit.parents.filter((p) => shown.has(p));
+    const next = [];
+    const edges = [];
+    const place = (hash, from) => {
+      let to = next.indexOf(hash);
+      if (to === -1) {
+        next.push(hash);
+        to = next.length - 1;
+      }
+
+      edges.push({ from, to });
+    };
+
+    columns.forEach((hash, j) => {
+      if (j === idx) {
+        parents.forEach((p) => place(p, j));
+      } else {
+        place(hash, j);
+      }
+    });
+
+    // Draw the commit beside its first line of text, with the
+    // lanes continuing beside the rest.
+    const width = columns.length;
+    const commitRow = lanes(width, (j) => (j === idx ? "*" : "|"));
+    const restRow = lanes(width, (j) =>
+      j === idx && parents.length === 0 ? " " : "|"
+    );
+    const gap = " ".repeat(parents.length > 1 ? 2 * (parents.length - 1) : 0);
+    commit.lines.forEach((line, i) => {
+      const row = i === 0 ? commitRow + gap : restRow;
+      out.push((row + " " + line).replace(/\s+$/, ""));
+    });
+
+    // Draw the rows that move the lanes to their next positions.
+    out.push(...transitions(edges));
+    columns = next;
+    return out;
+  }, []);
+};
+
+/**
+ * Returns a row of width lanes, each drawn with the character
+ * that charAt returns for its column.
+ *
+ * @param {Number} width
+ * @param {Function} charAt
+ */
+const lanes = (width, charAt) => {
+  const chars = [];
+  for (let j = 0; j < width; j++) {
+    chars.push(charAt(j));
+  }
+
+  return chars.join(" ");
+};
+
+/**
+ * Takes edges, an array of { from, to } that connect lanes in one
+ * row to lanes in the next, and returns the rows that draw them.
+ * Each row moves every diagonal edge one column closer to its
+ * target. No rows are needed if all the edges are straight.
+ *
+ * @param {Array} edges
+ */
+const transitions = (edges) => {
+  const rows = [];
+  let positions = edges.map((e) => ({ x: 2 * e.from, target: 2 * e.to }));
+  while (positions.some((p) => p.x !== p.target)) {
+    const row = [];
+    const draw = (x, c) => {
+      while (row.length <= x) {
+        row.push(" ");
+      }
+
+      if (row[x] === " ") {
+        row[x] = c;
+      }
+    };
+
+    positions = positions.map((p) => {
+      if (p.x < p.target) {
+        draw(p.x + 1, "\\");
+        return { x: p.x + 2, target: p.target };
+      } else if (p.x > p.target) {
+        draw(p.x - 1, "/");
+        return { x: p.x - 2, target: p.target };
+      } else {
+        draw(p.x, "|");
+        return p;
+      }
+    });
+
+    rows.push(row.join("").replace(/\s+$/, ""));
+  }
+
+  return rows;
+};
+
+module.exports = {
+  render,
+};
@@ -0,0 +1,218 @@
+const nodePath = require("path");
+const fs = require("fs");
+
+const Files = require("./Files");
+
+/**
+ * Name of the files that list the paths in a directory, and the
+ * directories below it, that Enkelgit should not track.
+ */
+const IGNORE_FILE = ".enkelgitignore";
+
+/**
+ * Path, inside the .enkelgit directory, of the file that lists
+ * paths to ignore in this repository only. It is never committed.
+ */
+const EXCLUDE_FILE = "info/exclude";
+
+/**
+ * Takes text, the content of an ignore file found in directory base
+ * of the working copy, and returns its rules. Blank lines and lines
+ * that start with # are skipped. A rule starting with ! re-includes
+ * paths that an earlier rule ignored. A rule ending with / only
+ * matches directories. A rule with a / at its start or in its middle
+ * is matched against the whole path relative to base. Otherwise it
+ * is matched against the name of the file or directory, at any depth.
+ * source is the path of the ignore file, kept to explain matches.
+ *
+ * eg. parse("*.log\n!keep.log\n/build/", "", ".enkelgitignore");
+ *
+ * @param {String} text
+ * @param {String} base
+ * @param {String} source
+ */
+const parse = (text, base, source) =>
+  text
+    .split("\n")
+    .map((line, i) => ({ line: line.replace(/\r$/, ""), number: i + 1 }))
+    .filter((l) => l.line.trim() !== "" && !l.line.startsWith("#"))
+    .map((l) => {
+      // Trailing spaces are dropped unless escaped with a backslash.
+      let pattern = l.line.replace(/((?:\\ )*)\s*$/, "$1");
+      const negate = pattern.startsWith("!");
+      pattern = negate ? pattern.slice(1) : pattern.replace(/^\\([#!])/, "$1");
+
+      const dirOnly = pattern.endsWith("/");
+      pattern = dirOnly ? pattern.slice(0, -1) : pattern;
+      const anchored = pattern.indexOf("/") !== -1;
+      pattern = pattern.replace(/^\//, "");
+
+      return {
+        pattern: l.line,
+        source,
+        line: l.number,
+        base,
+        negate,
+        dirOnly,
+        regex: new RegExp(
+          (anchored ? "^" : "^(?:.*/)?") + globToRegExp(pattern) + "$"
+        ),
+      };
+    });
+
+/**
+ * Returns the source of a regular expression that matches the
+ * paths that glob matches. * and ? match within one directory
+ * level, [abc] matches one of the characters listed and ** matches
+ * across any number of directory levels.
+ *
+ * @param {String} glob
+ */
+const globToRegExp = (glob) => {
+  let out = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (glob.startsWith("**/", i) && (i === 0 || glob[i - 1] === "/")) {
+      // A leading **/ or a /**/ matches zero or more directories.
+      out += "(?:.*/)?";
+      i += 2;
+    } else if (glob.startsWith("**", i) && i === glob.length - 2) {
+      // A trailing ** matches everything inside.
+      out += ".*";
+      i += 1;
+    } else if (c === "*") {
+      out += "[^/]*";
+    } else if (c === "?") {
+      out += "[^/]";
+    } else if (c === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const chars = glob.slice(i + 1, end).replace(/^!/, "^");
+      out += "[" + chars.replace(/\\/g, "\\\\") + "]";
+      i = end;
+    } else if (c === "\\" && i < glob.length - 1) {
+      i++;
+      out += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    } else {
+      out += c.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Returns the last rule in rules that matches path, a path relative
+ * to the root of the working copy. isDir says whether path is a
+ * directory. Later rules take precedence, so the last match decides
+ * whether path is ignored. It returns undefined if no rule matches.
+ *
+ * @param {Array} rules
+ * @param {String} path
+ * @param {Boolean} isDir
+ */
+const lastMatch = (rules, path, isDir) =>
+  rules
+    .filter((r) => {
+      const prefix = r.base === "" ? "" : r.base + "/";
+      return (
+        path.startsWith(prefix) &&
+        (isDir || !r.dirOnly) &&
+        r.regex.test(path.slice(prefix.length))
+      );
+    })
+    .pop();
+
+/**
+ * Returns a function that takes a path relative to the root of the
+ * working copy and returns the rule that decides whether the path is
+ * ignored, or undefined if none does. The rules come from the exclude
+ * file, then from the ignore file of each directory from the root of
+ * the working copy down to path, so the nearest ignore file wins.
+ * A path inside an ignored directory is ignored, whatever the rules
+ * say about the path itself. The ignore files are only read once,
+ * so the function should not outlive changes to them.
+ */
+const matcher = () => {
+  const cache = {};
+  const read = (path, base, source) => {
+    if (cache[path] === undefined) {
+      const text = Files.read(path);
+      cache[path] = text === undefined ? [] : parse(text, base, source);
+    }
+
+    return cache[path];
+  };
+
+  const rulesFor = (dir) => {
+    const dirs = dir === "" ? [""] : [""].concat(prefixes(dir));
+    return read(
+      Files.enkelgitPath(EXCLUDE_FILE),
+      "",
+      nodePath.join(".enkelgit", EXCLUDE_FILE)
+    ).concat(
+      ...dirs.map((d) =>
+        read(
+          Files.workingCopyPath(nodePath.join(d, IGNORE_FILE)),
+          d,
+          nodePath.join(d, IGNORE_FILE)
+        )
+      )
+    );
+  };
+
+  const isDirectory = (path) => {
+    const full = Files.workingCopyPath(path);
+    return fs.existsSync(full) && fs.statSync(full).isDirectory();
+  };
+
+  return (path) => {
+    const parts = prefixes(path);
+    for (let i = 0; i < parts.length; i++) {
+      const p = parts[i];
+      const isDir = i < parts.length - 1 || isDirectory(p);
+      const rule = lastMatch(
+        rulesFor(nodePath.dirname(p).replace(/^\.$/, "")),
+        p,
+        isDir
+      );
+      if (rule !== undefined && (!rule.negate || i === parts.length - 1)) {
+        return rule;
+      }
+    }
+  };
+};
+
+/**
+ * Returns the paths of path and each directory that contains it,
+ * outermost first. eg. prefixes("a/b/c") // => ["a", "a/b", "a/b/c"]
+ *
+ * @param {String} path
+ */
+const prefixes = (path) =>
+  path.split("/").map((_, i, parts) => parts.slice(0, i + 1).join("/"));
+
+/**
+ * Returns true if path, relative to the root of the working copy,
+ * is ignored. The .enkelgit directory is always ignored.
+ *
+ * @param {String} path
+ * @param {Function} match
+ */
+const isIgnored = (path, match = matcher()) => {
+  if (path === ".enkelgit" || path.startsWith(".enkelgit/")) {
+    return true;
+  }
+
+  const rule = match(path);
+  return rule !== undefined && !rule.negate;
+};
+
+module.exports = {
+  IGNORE_FILE,
+  EXCLUDE_FILE,
+  parse,
+  globToRegExp,
+  lastMatch,
+  matcher,
+  isIgnored,
+};
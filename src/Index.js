@@ -1,7 +1,9 @@
 const fs = require("fs");
 
 const Objects = require("./Objects");
+const Config = require("./Config");
 const Files = require("./Files");
+const Ignore = require("./Ignore");
 const Utils = require("./Utils");
 
 /**
@@ -10,22 +12,224 @@ const Utils = require("./Utils");
  * @param {String} path
  * @param {String} stage
  */
-const hasFile = (path, stage) => read()[key(path, stage)] !== undefined;
+const hasFile = (path, stage) => session().hasFile(path, stage);
+
+/**
+ * First bytes of an index file, identifying it as one.
+ */
+const SIGNATURE = "EIDX";
+
+/**
+ * Version of the index file format written by write().
+ */
+const VERSION = 1;
+
+/**
+ * Size, in bytes, of the fixed part of an entry: the stat data,
+ * the stage and the length of the path.
+ */
+const ENTRY_HEADER_SIZE = 31;
+
+/**
+ * The stat data of an entry whose file has not been looked at.
+ * It never matches a file, so the file is always hashed.
+ */
+const NO_STAT = {
+  ctimeSec: 0,
+  ctimeNsec: 0,
+  mtimeSec: 0,
+  mtimeNsec: 0,
+  ino: 0,
+  mode: 0,
+  size: 0,
+};
 
 /**
  * Returns the index as a JS object.
  */
-const read = () => {
+const read = () => session().read();
+
+/**
+ * Reads the index file. Returns { entries, mtime, digest } where
+ * entries maps each index key to { hash, stat }: the hash of the
+ * content staged for the key and the stat data of the file the
+ * content was last known to match. mtime is the time the index file
+ * was last written, in nanoseconds, and digest is a digest of its
+ * content (see digestOf()). Index files written before the binary
+ * format, one "path stage hash" line per entry, are still read.
+ */
+const load = () => {
   const indexFilePath = Files.enkelgitPath("index");
-  return Utils.lines(
-    fs.existsSync(indexFilePath) ? Files.read(indexFilePath) : "\n"
-  ).reduce((idx, blobStr) => {
-    let blobData = blobStr.split(/ /);
-    idx[key(blobData[0], blobData[1])] = blobData[2];
-    return idx;
-  }, {});
+  if (!fs.existsSync(indexFilePath)) {
+    return { entries: {}, mtime: 0n, digest: digestOf(undefined) };
+  }
+
+  const buf = Files.read(indexFilePath, null);
+  const mtime = fs.statSync(indexFilePath, { bigint: true }).mtimeNs;
+  const digest = digestOf(buf);
+  if (buf.slice(0, SIGNATURE.length).toString() === SIGNATURE) {
+    return { entries: parse(buf, Config.objectFormat()), mtime, digest };
+  } else {
+    const entries = Utils.lines(buf.toString()).reduce((idx, blobStr) => {
+      let blobData = blobStr.split(/ /);
+      idx[key(blobData[0], blobData[1])] = { hash: blobData[2], stat: NO_STAT };
+      return idx;
+    }, {});
+    return { entries, mtime, digest };
+  }
 };
 
+/**
+ * Returns a digest of buf, the content of an index file, or of
+ * a missing index file if buf is undefined. Two versions of the
+ * index have the same digest only if they have the same content,
+ * however quickly one replaced the other.
+ *
+ * @param {Buffer} buf
+ */
+const digestOf = (buf) => (buf === undefined ? "" : Utils.hash(buf));
+
+/**
+ * Takes buf, the content of an index file, and returns the entries
+ * it holds (see load()). The file is a header of the signature, the
+ * format version and the number of entries, then the entries sorted
+ * by key, then a checksum of all that, made with algorithm. Each
+ * entry is the ctime and mtime of its file in seconds and
+ * nanoseconds, its inode, mode and size, its stage, the length of
+ * its path, its hash and its path. Numbers are big-endian.
+ *
+ * @param {Buffer} buf
+ * @param {String} algorithm
+ */
+const parse = (buf, algorithm = "sha1") => {
+  const hashSize = Utils.hash("", algorithm).length / 2;
+  const body = buf.slice(0, buf.length - hashSize);
+  if (
+    buf.length < SIGNATURE.length + 8 + hashSize ||
+    buf.slice(body.length).toString("hex") !== Utils.hash(body, algorithm)
+  ) {
+    throw new Error("index file corrupt: bad checksum");
+  } else if (buf.readUInt32BE(4) !== VERSION) {
+    throw new Error("index file version " + buf.readUInt32BE(4) + " unknown");
+  }
+
+  const entries = {};
+  let offset = 12;
+  for (let i = 0; i < buf.readUInt32BE(8); i++) {
+    const stat = {
+      ctimeSec: buf.readUInt32BE(offset),
+      ctimeNsec: buf.readUInt32BE(offset + 4),
+      mtimeSec: buf.readUInt32BE(offset + 8),
+      mtimeNsec: buf.readUInt32BE(offset + 12),
+      ino: buf.readUInt32BE(offset + 16),
+      mode: buf.readUInt32BE(offset + 20),
+      size: buf.readUInt32BE(offset + 24),
+    };
+    const stage = buf.readUInt8(offset + 28);
+    const pathLength = buf.readUInt16BE(offset + 29);
+    offset += ENTRY_HEADER_SIZE;
+
+    const hash = buf.slice(offset, offset + hashSize).toString("hex");
+    const path = buf
+      .slice(offset + hashSize, offset + hashSize + pathLength)
+      .toString();
+    offset += hashSize + pathLength;
+    entries[key(path, stage)] = { hash, stat };
+  }
+
+  return entries;
+};
+
+/**
+ * Takes entries, a JS object that maps index keys to { hash, stat },
+ * and returns the content of an index file that holds them, with a
+ * checksum made with algorithm. See parse() for the format.
+ *
+ * @param {Object} entries
+ * @param {String} algorithm
+ */
+const serialize = (entries, algorithm = "sha1") => {
+  const header = Buffer.alloc(12);
+  header.write(SIGNATURE);
+  header.writeUInt32BE(VERSION, 4);
+  header.writeUInt32BE(Object.keys(entries).length, 8);
+
+  const body = Buffer.concat(
+    [header].concat(
+      Object.keys(entries)
+        .sort()
+        .map((k) => {
+          const { path, stage } = keyPieces(k);
+          const stat = entries[k].stat;
+          const pathBuf = Buffer.from(path);
+          const fixed = Buffer.alloc(ENTRY_HEADER_SIZE);
+          [
+            stat.ctimeSec,
+            stat.ctimeNsec,
+            stat.mtimeSec,
+            stat.mtimeNsec,
+            stat.ino,
+            stat.mode,
+            stat.size,
+          ].forEach((n, i) => fixed.writeUInt32BE(n, i * 4));
+          fixed.writeUInt8(stage, 28);
+          fixed.writeUInt16BE(pathBuf.length, 29);
+          return Buffer.concat([
+            fixed,
+            Buffer.from(entries[k].hash, "hex"),
+            pathBuf,
+          ]);
+        })
+    )
+  );
+
+  return Buffer.concat([body, Buffer.from(Utils.hash(body, algorithm), "hex")]);
+};
+
+/**
+ * Returns the stat data to record in the index for the file at
+ * path, or NO_STAT if there is no such file. Numbers too big for
+ * the index are cut to their low 32 bits, as Git does, which is
+ * enough to notice that a file has changed.
+ *
+ * @param {String} path
+ */
+const statOf = (path) => {
+  const filePath = Files.workingCopyPath(path);
+  if (!fs.existsSync(filePath)) {
+    return NO_STAT;
+  }
+
+  const stat = fs.statSync(filePath, { bigint: true });
+  const low = (n) => Number(n & 0xffffffffn);
+  return {
+    ctimeSec: low(stat.ctimeNs / 1000000000n),
+    ctimeNsec: Number(stat.ctimeNs % 1000000000n),
+    mtimeSec: low(stat.mtimeNs / 1000000000n),
+    mtimeNsec: Number(stat.mtimeNs % 1000000000n),
+    ino: low(stat.ino),
+    mode: low(stat.mode),
+    size: low(stat.size),
+  };
+};
+
+/**
+ * Returns true if the content of a file whose stat data is
+ * now can be assumed to still be the content recorded with
+ * the stat data recorded. A file modified at or after indexMtime,
+ * the time the index was written, is "racily clean": it may have
+ * changed again within the same tick without its stat data showing
+ * it, so it can't be trusted and must be hashed.
+ *
+ * @param {Object} recorded
+ * @param {Object} now
+ * @param {BigInt} indexMtime
+ */
+const isStatFresh = (recorded, now, indexMtime) =>
+  recorded !== NO_STAT &&
+  Object.keys(NO_STAT).every((k) => recorded[k] === now[k]) &&
+  BigInt(now.mtimeSec) * 1000000000n + BigInt(now.mtimeNsec) < indexMtime;
+
 /**
  * Returns an index key made from path and stage.
  *
@@ -49,13 +253,7 @@ const keyPieces = (key) => {
  * This function is like read(), except the JS object it returns
  * only uses the file path as a key.
  */
-const toc = () => {
-  const idx = read();
-  return Object.keys(idx).reduce(
-    (obj, k) => Utils.setIn(obj, [k.split(",")[0], idx[k]]),
-    {}
-  );
-};
+const toc = () => session().toc();
 
 /**
  * Returns true if the file for path is in conflict.
@@ -68,28 +266,23 @@ const isFileInConflict = (path) => hasFile(path, 2);
  * Returns an array of all the paths of files that
  * are in conflict.
  */
-const conflictedPaths = () => {
-  let idx = read();
-  return Object.keys(idx)
-    .filter((k) => keyPieces(k).stage === 2)
-    .map((k) => keyPieces(k).path);
-};
+const conflictedPaths = () => session().conflictedPaths();
 
 /**
  * sets a non-conflicting index entry for the file
  * at path to the hash of content. (If the file was in
  * conflict, it is set to be no longer in conflict.)
+ * If content was read from the file at path, stat is the
+ * stat data the file had when it was read.
  *
  * @param {String} path
  * @param {Object} content
+ * @param {Object} stat
  */
-const writeNonConflict = (path, content) => {
-  // Remove all keys for the file from the index.
-  writeRm(path);
-
-  // Write a key for path at stage 0 to indicate
-  // that the file is not in conflict.
-  _writeStageEntry(path, 0, content);
+const writeNonConflict = (path, content, stat) => {
+  const index = session();
+  index.writeNonConflict(path, content, stat);
+  index.flush();
 };
 
 /**
@@ -105,18 +298,9 @@ const writeNonConflict = (path, content) => {
  * @param {Object} baseContent
  */
 const writeConflict = (path, receiverContent, giverContent, baseContent) => {
-  // Write a key for path at stage 1 for baseContent.
-  // (There is no baseContent if the same file was added
-  // for the first time by both versions being merged.)
-  if (baseContent !== undefined) {
-    _writeStageEntry(path, 1, baseContent);
-  }
-
-  // Write a key for path at stage 2 for receiverContent.
-  _writeStageEntry(path, 2, receiverContent);
-
-  // Write a key for path at stage 3 for giverContent.
-  _writeStageEntry(path, 3, giverContent);
+  const index = session();
+  index.writeConflict(path, receiverContent, giverContent, baseContent);
+  index.flush();
 };
 
 /**
@@ -127,50 +311,220 @@ const writeConflict = (path, receiverContent, giverContent, baseContent) => {
  * @param {String} path
  */
 const writeRm = (path) => {
-  const idx = read();
-  [0, 1, 2, 3].forEach((stage) => delete idx[key(path, stage)]);
-  write(idx);
+  const index = session();
+  index.writeRm(path);
+  index.flush();
 };
 
 /**
  * Adds the hashed content to the index at key path,stage.
+ * If the content was read from the file at path, stat is the
+ * stat data the file had when it was read.
  *
  * @param {String} path
  * @param {String} stage
  * @param {Object} content
+ * @param {Object} stat
  */
-const _writeStageEntry = (path, stage, content) => {
-  const idx = read();
-  idx[key(path, stage)] = Objects.write(content);
-  write(idx);
+const _writeStageEntry = (path, stage, content, stat) => {
+  const index = session();
+  index.writeStageEntry(path, stage, content, stat);
+  index.flush();
 };
 
 /**
  * Takes a JS object that represents an index and writes it
- * to .enkelgit/index.
+ * to .enkelgit/index. stats maps index keys to the stat data
+ * of the files their content was just read from. Entries whose
+ * hash hasn't changed keep the stat data they had.
  *
  * @param {Object} index
+ * @param {Object} stats
  */
-const write = (index) => {
-  let indexStr =
-    Object.keys(index)
-      .map((k) => k.split(",")[0] + " " + k.split(",")[1] + " " + index[k])
-      .join("\n") + "\n";
-  Files.write(Files.enkelgitPath("index"), indexStr);
+const write = (index, stats = {}) => {
+  const s = session();
+  s.replace(index, stats);
+  s.flush();
+};
+
+/**
+ * Loads the index once and returns an index session: an object
+ * with the functions of this module that read and change the
+ * index, working on a copy of it in memory. Nothing is written
+ * until flush() is called, which writes every change at once by
+ * replacing the index file with a new one. A command that makes
+ * many changes, like adding a directory, makes them all in one
+ * session, so the index is only read and written once.
+ *
+ * eg. const index = session();
+ *     index.writeRm("a.txt");
+ *     index.writeNonConflict("b.txt", "content");
+ *     index.flush();
+ */
+const session = () => {
+  const loaded = load();
+  let entries = loaded.entries;
+  let digest = loaded.digest;
+  let changed = false;
+
+  const self = {
+    mtime: loaded.mtime,
+
+    entry: (path, stage) => entries[key(path, stage)],
+
+    read: () =>
+      Object.keys(entries).reduce(
+        (idx, k) => Utils.setIn(idx, [k, entries[k].hash]),
+        {}
+      ),
+
+    toc: () =>
+      Object.keys(entries).reduce(
+        (obj, k) => Utils.setIn(obj, [keyPieces(k).path, entries[k].hash]),
+        {}
+      ),
+
+    hasFile: (path, stage) => entries[key(path, stage)] !== undefined,
+
+    isFileInConflict: (path) => self.hasFile(path, 2),
+
+    conflictedPaths: () =>
+      Object.keys(entries)
+        .filter((k) => keyPieces(k).stage === 2)
+        .map((k) => keyPieces(k).path),
+
+    writeNonConflict: (path, content, stat) => {
+      // Remove all keys for the file from the index.
+      self.writeRm(path);
+
+      // Write a key for path at stage 0 to indicate
+      // that the file is not in conflict.
+      self.writeStageEntry(path, 0, content, stat);
+    },
+
+    writeConflict: (path, receiverContent, giverContent, baseContent) => {
+      // Write a key for path at stage 1 for baseContent.
+      // (There is no baseContent if the same file was added
+      // for the first time by both versions being merged.)
+      if (baseContent !== undefined) {
+        self.writeStageEntry(path, 1, baseContent);
+      }
+
+      // Write a key for path at stage 2 for receiverContent.
+      self.writeStageEntry(path, 2, receiverContent);
+
+      // Write a key for path at stage 3 for giverContent.
+      self.writeStageEntry(path, 3, giverContent);
+    },
+
+    writeRm: (path) => {
+      [0, 1, 2, 3].forEach((stage) => delete entries[key(path, stage)]);
+      changed = true;
+    },
+
+    writeStageEntry: (path, stage, content, stat) => {
+      entries[key(path, stage)] = {
+        hash: Objects.write(content, "blob"),
+        stat: stat || NO_STAT,
+      };
+      changed = true;
+    },
+
+    replace: (index, stats = {}) => {
+      entries = Object.keys(index).reduce((idx, k) => {
+        const old = entries[k];
+        const kept =
+          old !== undefined && old.hash === index[k] ? old.stat : NO_STAT;
+        return Utils.setIn(idx, [
+          k,
+          { hash: index[k], stat: stats[k] || kept },
+        ]);
+      }, {});
+      changed = true;
+    },
+
+    refresh: (path, stat) => {
+      const k = key(path, 0);
+      entries[k] = { hash: entries[k].hash, stat };
+      changed = true;
+    },
+
+    flush: () => save(true),
+
+    // Like flush(), but writes nothing if another process holds the
+    // lock or has written the index since it was loaded. Commands
+    // that only read the index use it to record fresh stat data,
+    // which is only worth saving if no one else is using the index.
+    tryFlush: () => save(false),
+  };
+
+  // Replaces the index under its lock, unless another process has
+  // written it since it was loaded, which would lose that process's
+  // changes. If mustSave is true, that and a lock held by another
+  // process throw, rather than leaving the index as it was.
+  const save = (mustSave) => {
+    if (changed) {
+      const indexFilePath = Files.enkelgitPath("index");
+      const update = (content) => {
+        if (digestOf(content) === digest) {
+          // Write the session's entries, and note what was written,
+          // so the session can be flushed again.
+          const buf = serialize(entries, Config.objectFormat());
+          digest = digestOf(buf);
+          return buf;
+        } else if (mustSave) {
+          // Abort if the index was changed by another process.
+          throw new Error("index was changed by another process");
+        }
+      };
+
+      if (mustSave) {
+        Files.updateLocked(indexFilePath, update, null);
+      } else {
+        Files.tryUpdateLocked(indexFilePath, update, null);
+      }
+
+      changed = false;
+    }
+  };
+
+  return self;
 };
 
 /**
  * Returns an object that maps the file paths in the
  * working copy to hashes of those files’ content.
+ * A file whose stat data matches the stat data in its
+ * index entry is not read: it still has the content in
+ * the index. The stat data of files that are read and
+ * turn out to match the index is recorded, so they are
+ * not read next time, if the index is not locked by
+ * another process (see session()).
  */
 const workingCopyToc = () => {
-  return Object.keys(read())
-    .map((k) => k.split(",")[0])
+  const index = session();
+  const wcToc = Object.keys(index.toc())
     .filter((p) => fs.existsSync(Files.workingCopyPath(p)))
     .reduce((idx, p) => {
-      idx[p] = Utils.hash(Files.read(Files.workingCopyPath(p)));
+      const entry = index.entry(p, 0);
+      const stat = statOf(p);
+      if (entry !== undefined && isStatFresh(entry.stat, stat, index.mtime)) {
+        idx[p] = entry.hash;
+      } else {
+        idx[p] = Objects.hash(
+          Files.read(Files.workingCopyPath(p), null),
+          "blob"
+        );
+        if (entry !== undefined && entry.hash === idx[p]) {
+          index.refresh(p, stat);
+        }
+      }
+
       return idx;
     }, {});
+
+  index.tryFlush();
+  return wcToc;
 };
 
 /**
@@ -189,21 +543,38 @@ const tocToIndex = (toc) => {
 };
 
 /**
- * Returns all the paths in the index that match pathSpec.
- * It matches relative to currentDir.
+ * Returns all the paths in the index that match pathSpec, or the
+ * paths in paths if they are passed. pathSpec is relative to the
+ * current directory. It matches a file or everything inside a
+ * directory. If it has glob characters and matches nothing that
+ * way, it is read as a glob like "src/*.js" (see
+ * Ignore.globToRegExp()), so a file called "a[1].txt" still
+ * matches itself.
  *
  * @param {String} pathSpec
+ * @param {Array} paths
  */
-const matchingFiles = (pathSpec) => {
+const matchingFiles = (pathSpec, paths = Object.keys(toc())) => {
   const searchPath = Files.pathFromRepoRoot(pathSpec);
-  return Object.keys(toc()).filter((p) =>
-    p.match("^" + searchPath.replace(/\\/g, "\\\\"))
+  const literal = paths.filter(
+    (p) =>
+      searchPath === "" || p === searchPath || p.startsWith(searchPath + "/")
   );
+  if (literal.length > 0 || searchPath.match(/[*?[]/) === null) {
+    return literal;
+  } else {
+    const regex = new RegExp("^" + Ignore.globToRegExp(searchPath) + "(/.*)?$");
+    return paths.filter((p) => regex.test(p));
+  }
 };
 
 module.exports = {
   hasFile,
   read,
+  load,
+  parse,
+  serialize,
+  statOf,
   key,
   keyPieces,
   toc,
@@ -214,6 +585,7 @@ module.exports = {
   writeRm,
   _writeStageEntry,
   write,
+  session,
   workingCopyToc,
   tocToIndex,
   matchingFiles,
@@ -0,0 +1,402 @@
+/**
+ * Number of unchanged lines shown around each change in a hunk.
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Splits text into lines, keeping the newline at the end of each.
+ * The last line has no newline if the text doesn't end with one.
+ *
+ * @param {String} text
+ */
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+/**
+ * Returns the shortest edit script that turns the array of lines a
+ * into the array of lines b, found with the linear space version of
+ * Myers' O(ND) algorithm.
+ * Each edit is { type, line } where type is "=" for a line kept,
+ * "-" for a line deleted from a and "+" for a line added from b.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ */
+const diffLines = (a, b) => {
+  // Equal lines get equal numbers, so they are compared quickly.
+  const ids = new Map();
+  const number = (lines) =>
+    Int32Array.from(lines, (line) => {
+      if (!ids.has(line)) {
+        ids.set(line, ids.size);
+      }
+
+      return ids.get(line);
+    });
+
+  const edits = [];
+  compare(a, b, number(a), number(b), 0, a.length, 0, b.length, edits);
+  return edits;
+};
+
+/**
+ * Appends to edits the shortest edit script that turns lines aLo to
+ * aHi of a into lines bLo to bHi of b. aIds and bIds hold the
+ * numbers of the lines (see diffLines()). Lines shared at the start
+ * and end can't be part of the shortest edit, so they are kept
+ * before the rest is split at its middle snake (see middleSnake()).
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Int32Array} aIds
+ * @param {Int32Array} bIds
+ * @param {Number} aLo
+ * @param {Number} aHi
+ * @param {Number} bLo
+ * @param {Number} bHi
+ * @param {Array} edits
+ */
+const compare = (a, b, aIds, bIds, aLo, aHi, bLo, bHi, edits) => {
+  while (aLo < aHi && bLo < bHi && aIds[aLo] === bIds[bLo]) {
+    edits.push({ type: "=", line: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+
+  let suffix = 0;
+  while (
+    aLo < aHi - suffix &&
+    bLo < bHi - suffix &&
+    aIds[aHi - 1 - suffix] === bIds[bHi - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  if (aLo === aHi - suffix) {
+    // Nothing is left of a, so the rest of b was added.
+    b.slice(bLo, bHi - suffix).forEach((line) =>
+      edits.push({ type: "+", line })
+    );
+  } else if (bLo === bHi - suffix) {
+    // Nothing is left of b, so the rest of a was deleted.
+    a.slice(aLo, aHi - suffix).forEach((line) =>
+      edits.push({ type: "-", line })
+    );
+  } else {
+    // Both ends differ, so at least two edits are needed. Split at
+    // the middle snake: each side of it needs fewer edits than the
+    // whole, so the recursion ends.
+    const snake = middleSnake(aIds, bIds, aLo, aHi - suffix, bLo, bHi - suffix);
+    compare(a, b, aIds, bIds, aLo, snake.x, bLo, snake.y, edits);
+    a.slice(snake.x, snake.u).forEach((line) =>
+      edits.push({ type: "=", line })
+    );
+    compare(
+      a,
+      b,
+      aIds,
+      bIds,
+      snake.u,
+      aHi - suffix,
+      snake.v,
+      bHi - suffix,
+      edits
+    );
+  }
+
+  a.slice(aHi - suffix, aHi).forEach((line) => edits.push({ type: "=", line }));
+};
+
+/**
+ * Returns the middle snake of the shortest edit script that turns
+ * lines aLo to aHi of a into lines bLo to bHi of b, as { x, y, u, v }:
+ * the run of equal lines from a[x], b[y] up to a[u], b[v] that the
+ * shortest path takes halfway through its edits. Paths are searched
+ * from both ends at once, keeping for each diagonal k only how far
+ * along a the furthest reaching path gets, until the forward and
+ * backward paths overlap.
+ *
+ * @param {Int32Array} a
+ * @param {Int32Array} b
+ * @param {Number} aLo
+ * @param {Number} aHi
+ * @param {Number} bLo
+ * @param {Number} bHi
+ */
+const middleSnake = (a, b, aLo, aHi, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const i = offset + k;
+      let x =
+        k === -d || (k !== d && forward[i - 1] < forward[i + 1])
+          ? forward[i + 1]
+          : forward[i - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+
+      forward[i] = x;
+      if (
+        odd &&
+        k >= delta - (d - 1) &&
+        k <= delta + (d - 1) &&
+        x + backward[offset + delta - k] >= n
+      ) {
+        return { x: aLo + x0, y: bLo + y0, u: aLo + x, v: bLo + y };
+      }
+    }
+
+    // The backward search runs from the ends of a and b. Its
+    // diagonal k is the forward search's diagonal delta - k.
+    for (let k = -d; k <= d; k += 2) {
+      const i = offset + k;
+      let x =
+        k === -d || (k !== d && backward[i - 1] < backward[i + 1])
+          ? backward[i + 1]
+          : backward[i - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+
+      backward[i] = x;
+      if (
+        !odd &&
+        delta - k >= -d &&
+        delta - k <= d &&
+        x + forward[offset + delta - k] >= n
+      ) {
+        return { x: aHi - x, y: bHi - y, u: aHi - x0, v: bHi - y0 };
+      }
+    }
+  }
+};
+
+/**
+ * Groups the edits between aText and bText into hunks: runs of
+ * changes with up to context unchanged lines around them. Changes
+ * close enough to share context go in the same hunk. Each hunk is
+ * { aStart, aCount, bStart, bCount, edits } with 1-based line numbers.
+ *
+ * @param {String} aText
+ * @param {String} bText
+ * @param {Number} context
+ */
+const hunks = (aText, bText, context = DEFAULT_CONTEXT) => {
+  const edits = diffLines(splitLines(aText), splitLines(bText));
+
+  // Note the line number each edit sits at in a and in b.
+  let aLine = 1;
+  let bLine = 1;
+  const numbered = edits.map((e) => {
+    const n = Object.assign({ aLine, bLine }, e);
+    aLine += e.type === "+" ? 0 : 1;
+    bLine += e.type === "-" ? 0 : 1;
+    return n;
+  });
+
+  const changes = numbered
+    .map((e, i) => (e.type === "=" ? -1 : i))
+    .filter((i) => i !== -1);
+
+  const groups = changes.reduce((gs, i) => {
+    const last = gs[gs.length - 1];
+    if (last !== undefined && i - last.end <= 2 * context) {
+      last.end = i;
+    } else {
+      gs.push({ start: i, end: i });
+    }
+
+    return gs;
+  }, []);
+
+  return groups.map((g) => {
+    const slice = numbered.slice(
+      Math.max(0, g.start - context),
+      Math.min(numbered.length, g.end + context + 1)
+    );
+    const aCount = slice.filter((e) => e.type !== "+").length;
+    const bCount = slice.filter((e) => e.type !== "-").length;
+    return {
+      aStart: aCount === 0 ? slice[0].aLine - 1 : slice[0].aLine,
+      aCount,
+      bStart: bCount === 0 ? slice[0].bLine - 1 : slice[0].bLine,
+      bCount,
+      edits: slice.map((e) => ({ type: e.type, line: e.line })),
+    };
+  });
+};
+
+/**
+ * Returns the lines of a hunk in unified diff format: a header like
+ * "@@ -1,4 +1,5 @@" and then each line prefixed by " ", "-" or "+".
+ * A line with no newline at the end is followed by a note saying so.
+ *
+ * @param {Object} hunk
+ */
+const formatHunk = (hunk) => {
+  const range = (start, count) => start + (count === 1 ? "" : "," + count);
+  const header =
+    "@@ -" +
+    range(hunk.aStart, hunk.aCount) +
+    " +" +
+    range(hunk.bStart, hunk.bCount) +
+    " @@";
+
+  return [header].concat(
+    ...hunk.edits.map((e) => {
+      const prefix = e.type === "=" ? " " : e.type;
+      return e.line.endsWith("\n")
+        ? [prefix + e.line.slice(0, -1)]
+        : [prefix + e.line, "\\ No newline at end of file"];
+    })
+  );
+};
+
+/**
+ * Returns the lines of the unified diff between aText and bText,
+ * without file headers, showing context unchanged lines around
+ * each change.
+ *
+ * @param {String} aText
+ * @param {String} bText
+ * @param {Number} context
+ */
+const unified = (aText, bText, context = DEFAULT_CONTEXT) =>
+  [].concat(...hunks(aText, bText, context).map(formatHunk));
+
+/**
+ * Returns an array that maps the index of each line of a that
+ * survives into b to its index in b. Lines of a that are deleted
+ * have no entry.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ */
+const matchLines = (a, b) => {
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  diffLines(a, b).forEach((e) => {
+    if (e.type === "=") {
+      matches[i] = j;
+    }
+
+    i += e.type === "+" ? 0 : 1;
+    j += e.type === "-" ? 0 : 1;
+  });
+
+  return matches;
+};
+
+/**
+ * Merges the changes that ours and theirs each made to base, line
+ * by line, like diff3. The three texts are split into chunks: stable
+ * chunks, where a line of base survives in both, and the unstable
+ * chunks between them. An unstable chunk changed by only one side
+ * takes that side’s lines. If both sides changed it the same way,
+ * that change is taken. Otherwise the chunk is a conflict, written
+ * out between markers labelled with labels.ours and labels.theirs.
+ * If labels.showBase is true, the base lines are shown too, after
+ * a marker labelled with labels.base. Returns the merged text and
+ * the number of conflicts in it.
+ *
+ * @param {String} baseText
+ * @param {String} oursText
+ * @param {String} theirsText
+ * @param {Object} labels
+ */
+const merge3 = (baseText, oursText, theirsText, labels = {}) => {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const oursMatch = matchLines(base, ours);
+  const theirsMatch = matchLines(base, theirs);
+
+  const same = (a, b) => a.length === b.length && a.every((l, i) => l === b[i]);
+  const marker = (chars, label) =>
+    chars + (label === undefined ? "" : " " + label) + "\n";
+  const terminated = (lines) =>
+    lines.length > 0 && !lines[lines.length - 1].endsWith("\n")
+      ? lines.slice(0, -1).concat([lines[lines.length - 1] + "\n"])
+      : lines;
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < base.length || j < ours.length || k < theirs.length) {
+    if (i < base.length && oursMatch[i] === j && theirsMatch[i] === k) {
+      out.push(base[i]);
+      i++;
+      j++;
+      k++;
+    } else {
+      // Find the next line of base that both sides kept. Everything
+      // up to it is an unstable chunk.
+      let next = i;
+      while (
+        next < base.length &&
+        (oursMatch[next] === undefined || theirsMatch[next] === undefined)
+      ) {
+        next++;
+      }
+
+      const nextJ = next < base.length ? oursMatch[next] : ours.length;
+      const nextK = next < base.length ? theirsMatch[next] : theirs.length;
+      const baseChunk = base.slice(i, next);
+      const oursChunk = ours.slice(j, nextJ);
+      const theirsChunk = theirs.slice(k, nextK);
+
+      if (same(oursChunk, baseChunk)) {
+        out.push(...theirsChunk);
+      } else if (same(theirsChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+        out.push(...oursChunk);
+      } else {
+        conflicts++;
+        out.push(marker("<<<<<<<", labels.ours), ...terminated(oursChunk));
+        if (labels.showBase) {
+          out.push(marker("|||||||", labels.base), ...terminated(baseChunk));
+        }
+
+        out.push(
+          "=======\n",
+          ...terminated(theirsChunk),
+          marker(">>>>>>>", labels.theirs)
+        );
+      }
+
+      i = next;
+      j = nextJ;
+      k = nextK;
+    }
+  }
+
+  return { text: out.join(""), conflicts };
+};
+
+module.exports = {
+  DEFAULT_CONTEXT,
+  splitLines,
+  diffLines,
+  hunks,
+  formatHunk,
+  unified,
+  merge3,
+};
@@ -0,0 +1,451 @@
+const Objects = require("./Objects");
+const Graph = require("./Graph");
+const Utils = require("./Utils");
+const Refs = require("./Refers");
+
+/**
+ * Number of characters commit hashes are abbreviated to.
+ */
+const ABBREV_LENGTH = 7;
+
+/**
+ * Names of the days of the week, as dates show them.
+ */
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Names of the months, as dates show them.
+ */
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Takes a revision, either a single ref or hash, or a range like
+ * "A..B" meaning the commits reachable from B but not from A.
+ * Either side of a range may be left out to mean HEAD. It returns
+ * the hashes of the commits to start from and the hashes of the
+ * commits whose history is excluded.
+ *
+ * @param {String} revision
+ */
+const range = (revision) => {
+  const resolve = (ref) => {
+    const hash = Refs.hash(ref === "" ? "HEAD" : ref);
+    if (hash === undefined || Objects.type(hash) !== "commit") {
+      throw new Error("ambiguous argument " + ref + ": unknown revision");
+    }
+
+    return hash;
+  };
+
+  const sides = revision.split("..");
+  return sides.length === 2
+    ? { include: [resolve(sides[1])], exclude: [resolve(sides[0])] }
+    : { include: [resolve(revision)], exclude: [] };
+};
+
+/**
+ * Returns the hashes of the commits reachable from the include
+ * commits, minus those reachable from the exclude commits. They
+ * are ordered newest first by commit date. The walk stops once it
+ * has found limit commits, if limit is passed.
+ *
+ * @param {Array} include
+ * @param {Array} exclude
+ * @param {Number} limit
+ */
+const walk = (include, exclude, limit = Infinity) => {
+  const parsed = {};
+  const commit = (hash) => {
+    if (parsed[hash] === undefined) {
+      parsed[hash] = Objects.parseCommit(Objects.read(hash));
+    }
+
+    return parsed[hash];
+  };
+
+  // Mark every commit reachable from an exclude commit as seen,
+  // so the walk below stops when it reaches them.
+  const seen = new Set();
+  const stack = exclude.slice();
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    if (!seen.has(hash)) {
+      seen.add(hash);
+      commit(hash).parents.forEach((p) => stack.push(p));
+    }
+  }
+
+  // Repeatedly take the newest commit waiting to be visited,
+  // then queue its parents. Commits are ordered by when they were
+  // committed, which may be later than when they were written.
+  const date = (h) => (commit(h).committer || commit(h)).date;
+  const queue = include.filter((h) => !seen.has(h));
+  queue.forEach((h) => seen.add(h));
+  const commits = [];
+  while (queue.length > 0 && commits.length < limit) {
+    const newest = queue.reduce(
+      (best, h, i) => (date(h) > date(queue[best]) ? i : best),
+      0
+    );
+    const hash = queue.splice(newest, 1)[0];
+    commits.push(hash);
+    commit(hash).parents.forEach((p) => {
+      if (!seen.has(p)) {
+        seen.add(p);
+        queue.push(p);
+      }
+    });
+  }
+
+  return commits;
+};
+
+/**
+ * Returns the number of commits reachable from hash but not from
+ * otherHash, and the number reachable from otherHash but not from
+ * hash, as { ahead, behind }.
+ *
+ * @param {String} hash
+ * @param {String} otherHash
+ */
+const aheadBehind = (hash, otherHash) => ({
+  ahead: walk([hash], [otherHash]).length,
+  behind: walk([otherHash], [hash]).length,
+});
+
+/**
+ * Reorders hashes, a list of commits newest first, so that no
+ * commit comes before one of its children. Otherwise, the order
+ * of hashes is kept. The graph needs this so that a lane is never
+ * drawn for a commit after the commit has been shown.
+ *
+ * @param {Array} hashes
+ */
+const topoSort = (hashes) => {
+  const position = hashes.reduce((o, h, i) => Utils.setIn(o, [h, i]), {});
+  const parents = hashes.reduce(
+    (o, h) =>
+      Utils.setIn(o, [
+        h,
+        Objects.parentHashes(Objects.read(h)).filter(
+          (p) => position[p] !== undefined
+        ),
+      ]),
+    {}
+  );
+
+  const children = hashes.reduce((o, h) => Utils.setIn(o, [h, 0]), {});
+  hashes.forEach((h) => parents[h].forEach((p) => children[p]++));
+
+  const ready = hashes.filter((h) => children[h] === 0);
+  const sorted = [];
+  while (ready.length > 0) {
+    const first = ready.reduce(
+      (best, h, i) => (position[h] < position[ready[best]] ? i : best),
+      0
+    );
+    const hash = ready.splice(first, 1)[0];
+    sorted.push(hash);
+    parents[hash].forEach((p) => {
+      children[p]--;
+      if (children[p] === 0) {
+        ready.push(p);
+      }
+    });
+  }
+
+  return sorted;
+};
+
+/**
+ * Returns a JS object that maps commit hashes to the names of
+ * the refs that point at them, eg. { "a1b2...": ["HEAD -> master",
+ * "origin/master", "tag: v1.0"] }. HEAD is shown pointing at the
+ * checked out branch, or on its own if it is detached.
+ */
+const decorations = () => {
+  const refs = Refs.allRefs();
+  const head = Refs.headBranchName();
+  const names = Object.keys(refs)
+    .filter((ref) => Refs.SPECIAL_REFS.indexOf(ref) === -1)
+    .map((ref) => {
+      const name = ref
+        .replace(/^refs\/(heads|remotes)\//, "")
+        .replace(/^refs\/tags\//, "tag: ");
+      return {
+        hash: Objects.peel(refs[ref]),
+        name:
+          !Refs.isHeadDetached() && ref === Refs.toLocalRef(head)
+            ? "HEAD -> " + name
+            : name,
+      };
+    })
+    .sort((a, b) => b.name.startsWith("HEAD") - a.name.startsWith("HEAD"));
+
+  if (Refs.isHeadDetached() && refs.HEAD !== undefined) {
+    names.unshift({ hash: refs.HEAD, name: "HEAD" });
+  }
+
+  return names.reduce((o, n) => {
+    o[n.hash] = (o[n.hash] || []).concat([n.name]);
+    return o;
+  }, {});
+};
+
+/**
+ * Returns true if the commit for commitHash changed any file at
+ * or under one of paths. A commit without parents touches the
+ * files it contains. A merge only touches a file if it differs
+ * from every parent, because otherwise the change came from
+ * the parent it matches.
+ *
+ * @param {String} commitHash
+ * @param {Array} paths
+ */
+const touches = (commitHash, paths) => {
+  const matches = (p) =>
+    paths.some((path) => p === path || p.indexOf(path + "/") === 0);
+  const filesIn = (toc) =>
+    Object.keys(toc)
+      .filter(matches)
+      .reduce((o, p) => Utils.setIn(o, [p, toc[p]]), {});
+  const sameFiles = (a, b) =>
+    Object.keys(a).length === Object.keys(b).length &&
+    Object.keys(a).every((p) => a[p] === b[p]);
+
+  const files = filesIn(Objects.commitToc(commitHash));
+  const parents = Objects.parentHashes(Objects.read(commitHash));
+  return parents.length === 0
+    ? Object.keys(files).length > 0
+    : parents.every((p) => !sameFiles(files, filesIn(Objects.commitToc(p))));
+};
+
+/**
+ * Returns the commits to show for revision: those that touched
+ * one of paths, if any paths are passed, up to limit of them.
+ *
+ * @param {String} revision
+ * @param {Array} paths
+ * @param {Number} limit
+ */
+const commits = (revision, paths, limit) => {
+  const r = range(revision);
+  if (paths.length === 0) {
+    // Without paths, every commit walked is shown, so the walk can
+    // stop as soon as it has found enough.
+    return walk(r.include, r.exclude, limit);
+  } else {
+    return walk(r.include, r.exclude)
+      .filter((h) => touches(h, paths))
+      .slice(0, limit);
+  }
+};
+
+/**
+ * Returns the abbreviated form of hash.
+ *
+ * @param {String} hash
+ */
+const abbrev = (hash) => hash.slice(0, ABBREV_LENGTH);
+
+/**
+ * Returns date as Git shows it, in the timezone it was recorded in,
+ * eg. "Tue Nov 14 23:13:20 2023 +0100". A date without a timezone,
+ * from a commit written before timezones were recorded, is shown
+ * in the local timezone.
+ *
+ * @param {Date} date
+ * @param {String} timezone
+ */
+const formatDate = (date, timezone) => {
+  if (timezone === undefined) {
+    return date.toString();
+  }
+
+  const sign = timezone[0] === "-" ? -1 : 1;
+  const minutes =
+    sign *
+    (parseInt(timezone.slice(1, 3), 10) * 60 +
+      parseInt(timezone.slice(3, 5), 10));
+  const d = new Date(date.getTime() + minutes * 60 * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    DAYS[d.getUTCDay()] +
+    " " +
+    MONTHS[d.getUTCMonth()] +
+    " " +
+    d.getUTCDate() +
+    " " +
+    [d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()].map(pad).join(":") +
+    " " +
+    d.getUTCFullYear() +
+    " " +
+    timezone
+  );
+};
+
+/**
+ * Expands the placeholders in format with the details of the commit
+ * for commitHash. Supported placeholders are %H and %h (commit hash),
+ * %T and %t (tree hash), %P and %p (parent hashes), %an, %ae and %ad
+ * (author name, email and date), %cn, %ce and %cd (committer name,
+ * email and date), %s (subject), %b (body), %B (raw message), %d and
+ * %D (the names of the refs in decorations that point at the commit,
+ * with or without parentheses), %n (newline) and %% (a percent sign).
+ *
+ * @param {String} commitHash
+ * @param {String} format
+ * @param {Object} decorations
+ */
+const expand = (commitHash, format, decorations = {}) => {
+  const commit = Objects.parseCommit(Objects.read(commitHash));
+  const paragraphs = commit.message.split(/\n\n/);
+  const refNames = (decorations[commitHash] || []).join(", ");
+  const author = commit.author || { date: commit.date };
+  const committer = commit.committer || author;
+  const values = {
+    H: commitHash,
+    h: abbrev(commitHash),
+    T: commit.tree,
+    t: abbrev(commit.tree),
+    P: commit.parents.join(" "),
+    p: commit.parents.map(abbrev).join(" "),
+    an: author.name || "",
+    ae: author.email || "",
+    ad: formatDate(author.date, author.timezone),
+    cn: committer.name || "",
+    ce: committer.email || "",
+    cd: formatDate(committer.date, committer.timezone),
+    s: paragraphs[0].replace(/\n/g, " "),
+    b: paragraphs.slice(1).join("\n\n"),
+    B: commit.message,
+    d: refNames === "" ? "" : " (" + refNames + ")",
+    D: refNames,
+    n: "\n",
+    "%": "%",
+  };
+
+  return format.replace(
+    /%(a[ned]|c[ned]|[HhTtPpsbBdDn%])/g,
+    (_, p) => values[p]
+  );
+};
+
+/**
+ * Returns the default, multi-line description of the commit for
+ * commitHash: its hash and the refs in decorations that point at it,
+ * its parents if it is a merge, its author, its date and its message
+ * indented by four spaces.
+ *
+ * @param {String} commitHash
+ * @param {Object} decorations
+ */
+const medium = (commitHash, decorations) => {
+  const commit = Objects.parseCommit(Objects.read(commitHash));
+  return Utils.flatten([
+    expand(commitHash, "commit %H%d", decorations),
+    commit.parents.length > 1
+      ? ["Merge: " + commit.parents.map(abbrev).join(" ")]
+      : [],
+    commit.author === undefined
+      ? []
+      : [expand(commitHash, "Author: %an <%ae>")],
+    expand(commitHash, "Date:   %ad"),
+    "",
+    commit.message.split("\n").map((l) => (l === "" ? "" : "    " + l)),
+  ]).join("\n");
+};
+
+/**
+ * Returns the description of the commit for commitHash in the form
+ * that opts asks for: --oneline, --format=<placeholders> or, if
+ * neither is passed, the default form. The refs in decorations
+ * are shown beside the hash.
+ *
+ * @param {String} commitHash
+ * @param {Object} opts
+ * @param {Object} decorations
+ */
+const format = (commitHash, opts, decorations = {}) => {
+  if (opts.oneline) {
+    return expand(commitHash, "%h%d %s", decorations);
+  } else if (Utils.isString(opts.format)) {
+    return expand(commitHash, opts.format, decorations);
+  } else {
+    return medium(commitHash, decorations);
+  }
+};
+
+/**
+ * Returns the lines of an ASCII graph of the commits for hashes,
+ * with each commit described as opts asks for and decorated with
+ * the refs that point at it.
+ *
+ * @param {Array} hashes
+ * @param {Object} opts
+ */
+const graph = (hashes, opts) => {
+  const isDefault = !opts.oneline && !Utils.isString(opts.format);
+  const refs = decorations();
+  return Graph.render(
+    topoSort(hashes).map((h, i) => {
+      const lines = format(h, opts, refs).split("\n");
+      return {
+        hash: h,
+        parents: Objects.parentHashes(Objects.read(h)),
+        lines: isDefault && i < hashes.length - 1 ? lines.concat([""]) : lines,
+      };
+    })
+  );
+};
+
+/**
+ * Returns the descriptions of the commits for hashes as a single
+ * string. Default descriptions span several lines, so they are
+ * separated by a blank line. --graph draws the history beside the
+ * commits. --graph and --decorate show the refs pointing at each.
+ *
+ * @param {Array} hashes
+ * @param {Object} opts
+ */
+const toString = (hashes, opts) => {
+  if (opts.graph) {
+    return graph(hashes, opts).join("\n");
+  } else {
+    const isDefault = !opts.oneline && !Utils.isString(opts.format);
+    const refs = opts.decorate ? decorations() : {};
+    return hashes
+      .map((h) => format(h, opts, refs))
+      .join(isDefault ? "\n\n" : "\n");
+  }
+};
+
+module.exports = {
+  ABBREV_LENGTH,
+  range,
+  walk,
+  aheadBehind,
+  topoSort,
+  decorations,
+  touches,
+  commits,
+  abbrev,
+  formatDate,
+  expand,
+  format,
+  graph,
+  toString,
+};
@@ -1,4 +1,5 @@
 const WorkingCopy = require("./WorkingCopy");
+const LineDiff = require("./LineDiff");
 const Objects = require("./Objects");
 const Config = require("./Config");
 const Utils = require("./Utils");
@@ -16,19 +17,153 @@ const FILE_STATUS = {
 };
 
 /**
- * Returns the hash of the commit that is the most recent
- * common ancestor of aHash and bHash.
+ * Flags that mergeBases() paints commits with: reached from the
+ * first side, reached from the second side, and below a commit
+ * that both sides reach.
+ */
+const SIDE_A = 1;
+const SIDE_B = 2;
+const STALE = 4;
+
+/**
+ * Returns the hashes of the best common ancestors of the commits
+ * in aHashes and the commits in bHashes: the commits that can be
+ * reached from both sides and that are not an ancestor of another
+ * such commit. Usually there is one. Criss-cross merges can leave
+ * several. They are ordered newest first.
+ *
+ * @param {Array} aHashes
+ * @param {Array} bHashes
+ */
+const mergeBases = (aHashes, bHashes) => {
+  const parsed = {};
+  const commit = (hash) => {
+    if (parsed[hash] === undefined) {
+      parsed[hash] = Objects.parseCommit(Objects.read(hash));
+    }
+
+    return parsed[hash];
+  };
+  const date = (h) => (commit(h).committer || commit(h)).date;
+
+  // Paint each commit with the sides that reach it, adding it to
+  // the queue again whenever it gains a flag.
+  const flags = {};
+  const queue = [];
+  const paint = (hash, f) => {
+    const old = flags[hash] || 0;
+    if ((old | f) !== old) {
+      flags[hash] = old | f;
+      if (queue.indexOf(hash) === -1) {
+        queue.push(hash);
+      }
+    }
+  };
+  aHashes.forEach((h) => paint(h, SIDE_A));
+  bHashes.forEach((h) => paint(h, SIDE_B));
+
+  // Repeatedly take the newest commit in the queue. A commit that
+  // both sides reach is a candidate, and its ancestors are painted
+  // stale, as they can only be worse bases. The walk stops when
+  // only stale commits are left, rather than at the root.
+  const candidates = [];
+  while (queue.some((h) => (flags[h] & STALE) === 0)) {
+    const newest = queue.reduce(
+      (best, h, i) => (date(h) > date(queue[best]) ? i : best),
+      0
+    );
+    const hash = queue.splice(newest, 1)[0];
+    let f = flags[hash] & (SIDE_A | SIDE_B | STALE);
+    if (f === (SIDE_A | SIDE_B)) {
+      if (candidates.indexOf(hash) === -1) {
+        candidates.push(hash);
+      }
+
+      f |= STALE;
+    }
+
+    commit(hash).parents.forEach((p) => paint(p, f));
+  }
+
+  // A candidate that was later reached through another candidate
+  // is stale. Clock skew can hide that from the walk, so with
+  // several candidates left, drop those reachable from the others.
+  const found = candidates.filter((h) => (flags[h] & STALE) === 0);
+  const reachable = new Set();
+  const stack =
+    found.length > 1 ? Utils.flatten(found.map((h) => commit(h).parents)) : [];
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    if (!reachable.has(hash)) {
+      reachable.add(hash);
+      stack.push(...commit(hash).parents);
+    }
+  }
+
+  return found
+    .filter((h) => !reachable.has(h))
+    .sort((a, b) => date(b) - date(a) || (a < b ? -1 : 1));
+};
+
+/**
+ * Returns a JS object that maps file paths to hashes of the content
+ * that the merge of the commits in receiverHashes and giverHashes is
+ * based on. With one merge base, that is the content of its commit.
+ * With several, as after a criss-cross merge, the bases are merged
+ * into a virtual base, recursively using their own merge bases, and
+ * any conflicts are left in its content. Unrelated histories have
+ * an empty base.
  *
- * @param {String} aHash
- * @param {String} bHash
+ * @param {Array} receiverHashes
+ * @param {Array} giverHashes
  */
-const commonAncestor = (aHash, bHash) => {
-  const sorted = [aHash, bHash].sort();
-  aHash = sorted[0];
-  bHash = sorted[1];
-  const aAncestors = [aHash].concat(Objects.ancestors(aHash));
-  const bAncestors = [bHash].concat(Objects.ancestors(bHash));
-  return Utils.intersection(aAncestors, bAncestors)[0];
+const baseToc = (receiverHashes, giverHashes) => {
+  const bases = mergeBases(receiverHashes, giverHashes);
+  if (bases.length === 0) {
+    return {};
+  }
+
+  return bases.slice(1).reduce(
+    (virtual, b) => ({
+      hashes: virtual.hashes.concat([b]),
+      toc: mergeTocs(
+        virtual.toc,
+        Objects.commitToc(b),
+        baseToc(virtual.hashes, [b])
+      ),
+    }),
+    { hashes: [bases[0]], toc: Objects.commitToc(bases[0]) }
+  ).toc;
+};
+
+/**
+ * Merges receiverToc and giverToc, two JS objects that map file paths
+ * to hashes of content, against baseToc. Returns the merged mapping.
+ * Conflicted files get their content with conflict markers, or the
+ * receiver’s version if they are binary.
+ *
+ * @param {Object} receiverToc
+ * @param {Object} giverToc
+ * @param {Object} baseToc
+ */
+const mergeTocs = (receiverToc, giverToc, baseToc) => {
+  const mrgDiff = mergeFiles(Diff.tocDiff(receiverToc, giverToc, baseToc), {
+    ours: "Temporary merge branch 1",
+    theirs: "Temporary merge branch 2",
+  });
+
+  return Object.keys(mrgDiff).reduce((toc, p) => {
+    const d = mrgDiff[p];
+    if (d.status === FILE_STATUS.CONFLICT) {
+      toc[p] = d.merged || d.receiver;
+    } else if (d.status === FILE_STATUS.MODIFY) {
+      toc[p] = d.giver;
+    } else if (d.status !== FILE_STATUS.DELETE) {
+      toc[p] = d.receiver || d.giver;
+    }
+
+    return toc;
+  }, {});
 };
 
 /**
@@ -67,14 +202,12 @@ const isAForceFetch = (receiverHash, giverHash) => {
 };
 
 /**
- * Returns true if merging the commit for giverHash into the
- * commit for receiverHash would produce conflicts.
+ * Returns true if mrgDiff, a merge diff from mergeDiff(), has
+ * conflicts.
  *
- * @param {String} receiverHash
- * @param {String} giverHash
+ * @param {Object} mrgDiff
  */
-const hasConflicts = (receiverHash, giverHash) => {
-  const mrgDiff = mergeDiff(receiverHash, giverHash);
+const hasConflicts = (mrgDiff) => {
   return (
     Object.keys(mrgDiff).filter(
       (p) => mrgDiff[p].status === FILE_STATUS.CONFLICT
@@ -82,37 +215,133 @@ const hasConflicts = (receiverHash, giverHash) => {
   );
 };
 
+/**
+ * Returns the paths of the files that conflict in mrgDiff, a merge
+ * diff from mergeDiff(), and that can't be merged line by line
+ * because either version is binary.
+ *
+ * @param {Object} mrgDiff
+ */
+const binaryConflicts = (mrgDiff) => {
+  return Object.keys(mrgDiff).filter(
+    (p) =>
+      mrgDiff[p].status === FILE_STATUS.CONFLICT &&
+      (Utils.isBinary(Objects.read(mrgDiff[p].receiver)) ||
+        Utils.isBinary(Objects.read(mrgDiff[p].giver)))
+  );
+};
+
 /**
  * Returns a diff that represents the changes to get from
  * the receiverHash commit to the giverHash commit.
  * Because this is a merge diff, the function uses the
- * common ancestor of the receiverHash commit and giverHash
- * commit to avoid trivial conflicts.
+ * merge base of the receiverHash commit and giverHash
+ * commit to avoid trivial conflicts. Files changed on both
+ * sides are merged line by line with mergeFiles().
  *
  * @param {String} receiverHash
  * @param {String} giverHash
+ * @param {Object} labels
  */
-const mergeDiff = (receiverHash, giverHash) => {
-  return Diff.tocDiff(
-    Objects.commitToc(receiverHash),
-    Objects.commitToc(giverHash),
-    Objects.commitToc(commonAncestor(receiverHash, giverHash))
+const mergeDiff = (receiverHash, giverHash, labels) => {
+  return mergeFiles(
+    Diff.tocDiff(
+      Objects.commitToc(receiverHash),
+      Objects.commitToc(giverHash),
+      baseToc([receiverHash], [giverHash])
+    ),
+    labels
   );
 };
 
+/**
+ * Takes a merge diff and merges the content of each conflicted text
+ * file against its base with a three-way line merge. A file whose
+ * changes don't overlap becomes a modification to the merged content.
+ * A file that still has conflicts keeps its conflict status and gets
+ * a merged field: the hash of its content with conflict markers
+ * around the overlapping regions, labelled with labels.ours and
+ * labels.theirs (and labels.base, if labels.showBase is true).
+ * Binary files are left as they are.
+ *
+ * @param {Object} mrgDiff
+ * @param {Object} labels
+ */
+const mergeFiles = (mrgDiff, labels = {}) => {
+  // A file that only the receiver changed already holds the merged
+  // content, so it stays as it is rather than reverting to the giver’s.
+  Object.keys(mrgDiff)
+    .filter(
+      (p) =>
+        mrgDiff[p].status === FILE_STATUS.MODIFY &&
+        mrgDiff[p].giver === mrgDiff[p].base
+    )
+    .forEach((p) => (mrgDiff[p].status = FILE_STATUS.SAME));
+
+  Object.keys(mrgDiff)
+    .filter((p) => mrgDiff[p].status === FILE_STATUS.CONFLICT)
+    .forEach((p) => {
+      const receiver = Objects.read(mrgDiff[p].receiver);
+      const giver = Objects.read(mrgDiff[p].giver);
+      const base = Objects.read(mrgDiff[p].base) || Buffer.alloc(0);
+      if (
+        !Utils.isBinary(receiver) &&
+        !Utils.isBinary(giver) &&
+        !Utils.isBinary(base)
+      ) {
+        const merged = LineDiff.merge3(
+          base.toString(),
+          receiver.toString(),
+          giver.toString(),
+          Object.assign(
+            { ours: "HEAD", theirs: "MERGE_HEAD", base: "base" },
+            labels
+          )
+        );
+        const mergedHash = Objects.write(merged.text, "blob");
+        if (merged.conflicts === 0) {
+          mrgDiff[p].status = FILE_STATUS.MODIFY;
+          mrgDiff[p].giver = mergedHash;
+        } else {
+          mrgDiff[p].merged = mergedHash;
+        }
+      }
+    });
+
+  return mrgDiff;
+};
+
+/**
+ * Returns the labels for the conflict markers written when the commit
+ * that ref names is merged into the current branch. The base section
+ * is shown if --conflict=diff3 is passed or merge.conflictstyle is
+ * set to diff3 in the config.
+ *
+ * @param {String} ref
+ * @param {Object} opts
+ */
+const conflictLabels = (ref, opts = {}) => {
+  const mergeConfig = (Config.read().merge || {})[""] || {};
+  return {
+    ours: Refs.headBranchName() || "HEAD",
+    theirs: ref,
+    base: "base",
+    showBase: (opts.conflict || mergeConfig.conflictstyle) === "diff3",
+  };
+};
+
 /**
  * Creates a message for the merge commit that will potentially
- * be created when the giverHash commit is merged into the
- * receiverHash commit. It writes this message to .enkelgit/MERGE_MSG.
+ * be created when ref is merged into the current branch, listing
+ * the files that conflict in mrgDiff, the merge diff. It writes
+ * this message to .enkelgit/MERGE_MSG.
  *
- * @param {String} receiverHash
- * @param {String} giverHash
+ * @param {Object} mrgDiff
  * @param {String} ref
  */
-const writeMergeMsg = (receiverHash, giverHash, ref) => {
-  const msg = "Merge " + ref + " into " + Refs.headBranchName();
+const writeMergeMsg = (mrgDiff, ref) => {
+  let msg = "Merge " + ref + " into " + Refs.headBranchName();
 
-  const mrgDiff = mergeDiff(receiverHash, giverHash);
   const conflicts = Object.keys(mrgDiff).filter(
     (p) => mrgDiff[p].status === FILE_STATUS.CONFLICT
   );
@@ -125,47 +354,56 @@ const writeMergeMsg = (receiverHash, giverHash, ref) => {
 };
 
 /**
- * Merges the giverHash commit into the receiverHash commit
- * and writes the merged content to the index.
+ * Writes the merged content in mrgDiff, a merge diff from
+ * mergeDiff(), to the index. Conflicted files get an entry for
+ * each side.
  *
- * @param {String} receiverHash
- * @param {String} giverHash
+ * @param {Object} mrgDiff
  */
-const writeIndex = (receiverHash, giverHash) => {
-  const mrgDiff = mergeDiff(receiverHash, giverHash);
+const writeIndex = (mrgDiff) => {
+  const index = Index.session();
 
-  Index.write({});
+  index.replace({});
 
   Object.keys(mrgDiff).forEach((p) => {
     if (mrgDiff[p].status === FILE_STATUS.CONFLICT) {
-      Index.writeConflict(
+      index.writeConflict(
         p,
         Objects.read(mrgDiff[p].receiver),
         Objects.read(mrgDiff[p].giver),
         Objects.read(mrgDiff[p].base)
       );
     } else if (mrgDiff[p].status === FILE_STATUS.MODIFY) {
-      Index.writeNonConflict(p, Objects.read(mrgDiff[p].giver));
+      index.writeNonConflict(p, Objects.read(mrgDiff[p].giver));
     } else if (
       mrgDiff[p].status === FILE_STATUS.ADD ||
       mrgDiff[p].status === FILE_STATUS.SAME
     ) {
       const content = Objects.read(mrgDiff[p].receiver || mrgDiff[p].giver);
-      Index.writeNonConflict(p, content);
+      index.writeNonConflict(p, content);
     }
   });
+
+  index.flush();
 };
 
 /**
  * Fast forwarding means making the current branch reflect
  * the commit that giverHash points at. No new commit is created.
+ * reason is recorded in the branch's log.
  *
  * @param {String} receiverHash
  * @param {String} giverHash
+ * @param {String} reason
  */
-const writeFastForwardMerge = (receiverHash, giverHash) => {
-  // Point head at giverHash.
-  Refs.write(Refs.toLocalRef(Refs.headBranchName()), giverHash);
+const writeFastForwardMerge = (receiverHash, giverHash, reason) => {
+  // Point head at giverHash, unless it has moved on from receiverHash.
+  Refs.write(
+    Refs.toLocalRef(Refs.headBranchName()),
+    giverHash,
+    receiverHash,
+    reason
+  );
 
   // Make the index mirror the content of giverHash.
   Index.write(Index.tocToIndex(Objects.commitToc(giverHash)));
@@ -191,13 +429,15 @@ const writeFastForwardMerge = (receiverHash, giverHash) => {
  * commit. This integration requires a merge commit because, unlike a
  * fast forward merge, no commit yet exists that embodies the combination
  * of these two commits. writeNonFastForwardMerge() does not actually
- * create the merge commit. It just sets the wheels in motion.
+ * create the merge commit. It just sets the wheels in motion. mrgDiff
+ * is the merge diff of the two commits, from mergeDiff(), with its
+ * conflict markers labelled by conflictLabels().
  *
- * @param {String} receiverHash
  * @param {String} giverHash
  * @param {String} giverRef
+ * @param {Object} mrgDiff
  */
-const writeNonFastForwardMerge = (receiverHash, giverHash, giverRef) => {
+const writeNonFastForwardMerge = (giverHash, giverRef, mrgDiff) => {
   // Write giverHash to .enkelgit/MERGE_HEAD. This file
   // acts as a record of giverHash and as the signal
   // that the repository is in the merging state.
@@ -205,28 +445,32 @@ const writeNonFastForwardMerge = (receiverHash, giverHash, giverRef) => {
 
   // Write a standard merge commit message that will
   // be used when the merge commit is created.
-  writeMergeMsg(receiverHash, giverHash, giverRef);
+  writeMergeMsg(mrgDiff, giverRef);
 
-  // Merge the receiverHash commit with the giverHash
-  // commit and write the content to the index.
-  writeIndex(receiverHash, giverHash);
+  // Write the merged content to the index.
+  writeIndex(mrgDiff);
 
   // If the repo is bare, it has no working copy, so there
-  // is no more work to do. If the repo is not bare merge
-  // the receiverHash commit with the giverHash commit and
-  // write the content to the working copy.
+  // is no more work to do. If the repo is not bare, write
+  // the merged content to the working copy, with conflict
+  // markers labelled with the names of the two sides.
   if (!Config.isBare()) {
-    WorkingCopy.write(mergeDiff(receiverHash, giverHash));
+    WorkingCopy.write(mrgDiff);
   }
 };
 
 module.exports = {
-  commonAncestor,
+  mergeBases,
+  baseToc,
+  mergeTocs,
   isMergeInProgress,
   canFastForward,
   isAForceFetch,
   hasConflicts,
+  binaryConflicts,
   mergeDiff,
+  mergeFiles,
+  conflictLabels,
   writeMergeMsg,
   writeIndex,
   writeFastForwardMerge,
@@ -1,8 +1,22 @@
 const nodePath = require("path");
+const zlib = require("zlib");
 const fs = require("fs");
 
+const Config = require("./Config");
 const Files = require("./Files");
 const Utils = require("./Utils");
+const Pack = require("./Pack");
+
+/**
+ * The kinds of object the database can hold.
+ */
+const OBJECT_TYPES = ["blob", "tree", "commit", "tag"];
+
+/**
+ * Name of the directory, in the objects directory, that objects
+ * with no header are moved to while they are converted.
+ */
+const LEGACY_DIR = "legacy";
 
 /**
  * Stores a graph of tree objects that represent the content
@@ -22,7 +36,7 @@ const writeTree = (tree) => {
       })
       .join("\n") + "\n";
 
-  return write(treeObject);
+  return write(treeObject, "tree");
 };
 
 /**
@@ -49,38 +63,361 @@ const fileTree = (treeHash, tree) => {
 
 /**
  * Creates a commit object and writes it to the objects database.
+ * The message is stored as it is, after a blank line. author and
+ * committer say who wrote the change and who committed
+ * it, and when, as { name, email, date, timezone } (see
+ * Config.identity()).
  *
  * @param {String} treeHash
  * @param {String} message
  * @param {Array} parentHashes
+ * @param {Object} author
+ * @param {Object} committer
  */
-const writeCommit = (treeHash, message, parentHashes) => {
+const writeCommit = (treeHash, message, parentHashes, author, committer) => {
   return write(
-    "commit " +
+    "tree " +
       treeHash +
       "\n" +
       parentHashes.map((h) => "parent " + h + "\n").join("") +
-      "Date:  " +
-      new Date().toString() +
+      "author " +
+      formatSignature(author) +
+      "\n" +
+      "committer " +
+      formatSignature(committer) +
       "\n" +
       "\n" +
-      "    " +
-      message +
-      "\n"
+      terminated(message),
+    "commit"
   );
 };
 
 /**
- * Writes str to the objects database.
+ * Returns message with a newline at its end, adding one if needed.
  *
- * @param {String} str
+ * @param {String} message
+ */
+const terminated = (message) =>
+  message.endsWith("\n") ? message : message + "\n";
+
+/**
+ * Creates an annotated tag object that names the object objectHash
+ * of type objectType and writes it to the objects database. tagger
+ * says who made the tag, and when, as { name, email, date, timezone }.
+ *
+ * @param {String} objectHash
+ * @param {String} objectType
+ * @param {String} name
+ * @param {Object} tagger
+ * @param {String} message
+ */
+const writeTag = (objectHash, objectType, name, tagger, message) => {
+  return write(
+    "object " +
+      objectHash +
+      "\n" +
+      "type " +
+      objectType +
+      "\n" +
+      "tag " +
+      name +
+      "\n" +
+      "tagger " +
+      formatSignature(tagger) +
+      "\n" +
+      "\n" +
+      terminated(message),
+    "tag"
+  );
+};
+
+/**
+ * Returns the stored form of an object as a Buffer: a header made
+ * of its type and its length in bytes, a NUL byte and then content,
+ * eg. "blob 5\0hello". content may be a string or a Buffer.
+ *
+ * @param {String} content
+ * @param {String} type
+ */
+const serialize = (content, type) =>
+  Buffer.concat([
+    Buffer.from(type + " " + Buffer.byteLength(content) + "\0"),
+    Buffer.from(content),
+  ]);
+
+/**
+ * Returns content, the raw bytes of an object of type, in the form
+ * the rest of Enkelgit works with: blobs stay Buffers so binary files
+ * survive intact, while trees, commits and tags are decoded to strings.
+ *
+ * @param {Buffer} content
+ * @param {String} type
+ */
+const decode = (content, type) =>
+  type === "blob" ? content : content.toString("utf8");
+
+/**
+ * Parses buf, the stored form of an object, and returns its
+ * type and content. It throws if the header is malformed.
+ *
+ * @param {Buffer} buf
+ */
+const deserialize = (buf) => {
+  const nul = buf.indexOf(0);
+  const header =
+    nul === -1 ? null : buf.toString("utf8", 0, nul).match(/^(\w+) (\d+)$/);
+  if (header === null || OBJECT_TYPES.indexOf(header[1]) === -1) {
+    throw new Error("object has a corrupt header");
+  }
+
+  return { type: header[1], content: decode(buf.slice(nul + 1), header[1]) };
+};
+
+/**
+ * Returns the hash that content would be stored under
+ * as an object of type, using the repository's object format.
+ *
+ * @param {String} content
+ * @param {String} type
+ */
+const hash = (content, type = "blob") =>
+  Utils.hash(serialize(content, type), Config.objectFormat());
+
+/**
+ * Returns the path of the loose object file for objectHash. Objects
+ * are fanned out into subdirectories named after the first two
+ * characters of their hash, eg. objects/3a/9034a...
+ *
+ * @param {String} objectHash
+ */
+const objectPath = (objectHash) =>
+  nodePath.join(
+    Files.enkelgitPath(),
+    "objects",
+    objectHash.slice(0, 2),
+    objectHash.slice(2)
+  );
+
+/**
+ * Writes content, a string or a Buffer, to the objects database
+ * as an object of type and returns its hash. The stored form
+ * is deflated with zlib.
+ *
+ * @param {String} content
+ * @param {String} type
+ */
+const write = (content, type = "blob") => {
+  if (OBJECT_TYPES.indexOf(type) === -1) {
+    throw new Error("invalid object type " + type);
+  }
+
+  const objectHash = hash(content, type);
+  if (!exists(objectHash)) {
+    Files.write(
+      objectPath(objectHash),
+      zlib.deflateSync(serialize(content, type))
+    );
+  }
+
+  return objectHash;
+};
+
+/**
+ * Converts the loose objects of a repository created before objects
+ * were compressed into the deflated, fanned out layout. Objects
+ * stored uncompressed in a flat objects directory are converted.
+ * Those with a type header are named after their digest, and are
+ * checked against it before they are moved. Those with no header
+ * are named after the 32-bit hash that Enkelgit first used, eg.
+ * objects/5d41402a, so they get new hashes, and the trees and
+ * commits that point to them are rewritten to point to the new
+ * hashes (see migrateLegacyObjects()). Returns a JS object that
+ * maps the old name of each object converted to its hash.
+ */
+const migrateLooseObjects = () => {
+  const objectsDir = Files.enkelgitPath("objects");
+  const flatObjects = fs
+    .readdirSync(objectsDir)
+    .filter((n) => fs.statSync(nodePath.join(objectsDir, n)).isFile());
+  const headed = flatObjects.filter((n) =>
+    n.match(/^[0-9a-f]{40}([0-9a-f]{24})?$/)
+  );
+
+  // Legacy objects are moved aside first, as a legacy name may be
+  // two characters long, like the fan-out directories.
+  const legacyDir = nodePath.join(objectsDir, LEGACY_DIR);
+  flatObjects
+    .filter((n) => n.match(/^[0-9a-f]{1,8}$/))
+    .forEach((n) => {
+      fs.mkdirSync(legacyDir, { recursive: true });
+      fs.renameSync(nodePath.join(objectsDir, n), nodePath.join(legacyDir, n));
+    });
+
+  const renames = headed.reduce((o, objectHash) => {
+    const flatPath = nodePath.join(objectsDir, objectHash);
+    const stored = Files.read(flatPath, null);
+    deserialize(stored);
+    if (Utils.hash(stored, Config.objectFormat()) !== objectHash) {
+      throw new Error("object " + objectHash + " is corrupt");
+    }
+
+    Files.write(objectPath(objectHash), zlib.deflateSync(stored));
+    fs.unlinkSync(flatPath);
+    return Utils.setIn(o, [objectHash, objectHash]);
+  }, {});
+
+  return Object.assign(
+    renames,
+    fs.existsSync(legacyDir) ? migrateLegacyObjects(legacyDir) : {}
+  );
+};
+
+/**
+ * Writes each object in legacyDir, which has no header, to the
+ * objects database with the type Enkelgit first guessed for it and
+ * then deletes legacyDir. A tree is a list of "blob <hash> <name>"
+ * and "tree <hash> <name>" lines and a commit starts with a
+ * "commit <tree hash>" line, which becomes a "tree" header. Content
+ * that refers to objects that don't exist is taken to be a blob. An
+ * object is only written after the objects it points to, so it can
+ * point to their new hashes. Returns a JS object that maps the old
+ * name of each object to its new hash.
+ *
+ * @param {String} legacyDir
+ */
+const migrateLegacyObjects = (legacyDir) => {
+  const names = new Set(fs.readdirSync(legacyDir));
+  const legacyPath = (name) => nodePath.join(legacyDir, name);
+  const parsed = new Map();
+  const parse = (name) => {
+    if (!parsed.has(name)) {
+      const str = Files.read(legacyPath(name));
+      const treeLines = Utils.lines(str).map((l) =>
+        l.match(/^(blob|tree) (\w+) ./)
+      );
+      let object = { type: "blob", hashes: [] };
+      if (str.match(/^commit \w+\n/) !== null) {
+        object = {
+          type: "commit",
+          hashes: Utils.lines(str.split("\n\n")[0])
+            .map((l) => l.match(/^(commit|parent) (\w+)$/))
+            .filter((m) => m !== null)
+            .map((m) => m[2]),
+        };
+      } else if (treeLines.length > 0 && treeLines.every((m) => m !== null)) {
+        object = { type: "tree", hashes: treeLines.map((m) => m[2]) };
+      }
+
+      parsed.set(
+        name,
+        object.hashes.every((h) => names.has(h))
+          ? object
+          : { type: "blob", hashes: [] }
+      );
+    }
+
+    return parsed.get(name);
+  };
+
+  const renames = {};
+  const rename = (str) =>
+    str.replace(
+      /^(commit|parent|blob|tree) (\w+)/gm,
+      (_, type, h) => (type === "commit" ? "tree" : type) + " " + renames[h]
+    );
+
+  // Walk the objects depth first, writing each one after all the
+  // objects it points to.
+  names.forEach((start) => {
+    const stack = [start];
+    const onStack = new Set(stack);
+    while (stack.length > 0) {
+      const name = stack[stack.length - 1];
+      const object = parse(name);
+      const pending = object.hashes.filter((h) => renames[h] === undefined);
+      if (renames[name] !== undefined) {
+        stack.pop();
+        onStack.delete(name);
+      } else if (pending.length > 0) {
+        if (pending.some((h) => onStack.has(h))) {
+          throw new Error("object " + name + " is corrupt");
+        }
+
+        stack.push(...pending);
+        pending.forEach((h) => onStack.add(h));
+      } else if (object.type === "blob") {
+        renames[name] = write(Files.read(legacyPath(name), null), "blob");
+      } else {
+        // Only the header lines of a commit point to objects.
+        const str = Files.read(legacyPath(name));
+        const end = object.type === "commit" ? str.indexOf("\n\n") : str.length;
+        renames[name] = write(
+          rename(str.slice(0, end === -1 ? str.length : end)) +
+            str.slice(end === -1 ? str.length : end),
+          object.type
+        );
+      }
+    }
+  });
+
+  names.forEach((name) => fs.unlinkSync(legacyPath(name)));
+  fs.rmdirSync(legacyDir);
+  return renames;
+};
+
+/**
+ * Packs every object reachable from the objects called roots into
+ * a single new pack, replacing any existing packs. Loose copies of
+ * the packed objects are deleted. Returns the name of the pack, the
+ * number of objects in it and how many of them are stored as deltas,
+ * or undefined if nothing is reachable.
+ *
+ * @param {Array} roots
+ */
+const repack = (roots) => {
+  const objects = reachable(roots).map((o) => {
+    const object = readObject(o.hash);
+    return {
+      hash: o.hash,
+      path: o.path,
+      type: object.type,
+      content: Buffer.from(object.content),
+    };
+  });
+
+  if (objects.length > 0) {
+    const oldPacks = Pack.names();
+    const packed = Pack.write(objects, Config.objectFormat());
+    oldPacks.filter((n) => n !== packed.name).forEach(Pack.rm);
+    rmLoose(objects.map((o) => o.hash).filter(isLoose));
+    return { name: packed.name, count: objects.length, deltas: packed.deltas };
+  }
+};
+
+/**
+ * Deletes the loose objects that are not reachable from the
+ * objects called roots. Returns the number of objects deleted.
+ *
+ * @param {Array} roots
+ */
+const prune = (roots) => {
+  const keep = new Set(reachable(roots).map((o) => o.hash));
+  const unreachable = looseHashes().filter((h) => !keep.has(h));
+  rmLoose(unreachable);
+  return unreachable.length;
+};
+
+/**
+ * Deletes the loose object files for hashes and removes the
+ * fan-out directories they leave empty.
+ *
+ * @param {Array} hashes
  */
-const write = (str) => {
-  Files.write(
-    nodePath.join(Files.enkelgitPath(), "objects", Utils.hash(str)),
-    str
+const rmLoose = (hashes) => {
+  hashes.forEach((h) => fs.unlinkSync(objectPath(h)));
+  Utils.unique(hashes.map((h) => nodePath.dirname(objectPath(h)))).forEach(
+    Files.rmEmptyDirs
   );
-  return Utils.hash(str);
 };
 
 /**
@@ -99,52 +436,149 @@ const isUpToDate = (receiverHash, giverHash) => {
 };
 
 /**
- * Returns true if there is an object in the database called objectHash
+ * Returns true if objectHash looks like the hash of an object.
  *
  * @param {String} objectHash
  */
-const exists = (objectHash) => {
-  return (
-    objectHash !== undefined &&
-    fs.existsSync(nodePath.join(Files.enkelgitPath(), "objects", objectHash))
-  );
-};
+const isHash = (objectHash) =>
+  Utils.isString(objectHash) && objectHash.match(/^[0-9a-f]{3,}$/) !== null;
 
 /**
- * Returns the content of the object called objectHash.
+ * Returns true if objectHash is stored as a loose object file.
  *
  * @param {String} objectHash
  */
-const read = (objectHash) => {
-  if (objectHash !== undefined) {
-    const objectPath = nodePath.join(
-      Files.enkelgitPath(),
-      "objects",
-      objectHash
+const isLoose = (objectHash) =>
+  isHash(objectHash) && fs.existsSync(objectPath(objectHash));
+
+/**
+ * Returns true if there is an object in the database called objectHash,
+ * either as a loose object or in a pack.
+ *
+ * @param {String} objectHash
+ */
+const exists = (objectHash) =>
+  isLoose(objectHash) || (isHash(objectHash) && Pack.has(objectHash));
+
+/**
+ * Returns the type and content of the object called objectHash,
+ * or undefined if there is no such object. Loose objects are
+ * looked up before packed ones.
+ *
+ * @param {String} objectHash
+ */
+const readObject = (objectHash) => {
+  if (isLoose(objectHash)) {
+    return deserialize(
+      zlib.inflateSync(Files.read(objectPath(objectHash), null))
     );
-    if (fs.existsSync(objectPath)) {
-      return Files.read(objectPath);
+  } else if (isHash(objectHash)) {
+    const packed = Pack.read(objectHash);
+    if (packed !== undefined) {
+      return {
+        type: packed.type,
+        content: decode(packed.content, packed.type),
+      };
     }
   }
 };
 
 /**
- * Returns an array of the string content of all the objects in the database
+ * Returns the content of the object called objectHash: a Buffer
+ * for a blob, a string for a tree or commit.
+ *
+ * @param {String} objectHash
+ */
+const read = (objectHash) => {
+  const object = readObject(objectHash);
+  if (object !== undefined) {
+    return object.content;
+  }
+};
+
+/**
+ * Returns an array of the hashes of all the loose objects.
  */
-const allObjects = () => {
-  return fs.readdirSync(Files.enkelgitPath("objects")).map(objects.read);
+const looseHashes = () => {
+  const objectsDir = Files.enkelgitPath("objects");
+  return fs
+    .readdirSync(objectsDir)
+    .filter((dir) => dir.match(/^[0-9a-f]{2}$/))
+    .reduce((hashes, dir) => {
+      return hashes.concat(
+        fs.readdirSync(nodePath.join(objectsDir, dir)).map((n) => dir + n)
+      );
+    }, []);
 };
 
 /**
- * Parses str as an object and returns its type: commit, tree or blob.
+ * Returns an array of the hashes of all the objects in the database.
+ */
+const allHashes = () => Utils.unique(looseHashes().concat(Pack.allHashes()));
+
+/**
+ * Returns the hashes of the objects whose hash starts with prefix.
  *
- * @param {String} str
+ * @param {String} prefix
  */
-const type = (str) => {
-  return (
-    { commit: "commit", tree: "tree", blob: "tree" }[str.split(" ")[0]] ||
-    "blob"
-  );
+const hashesWithPrefix = (prefix) =>
+  allHashes().filter((h) => h.startsWith(prefix));
+
+/**
+ * Returns an array of the type and content of all
+ * the objects in the database.
+ */
+const allObjects = () => allHashes().map(readObject);
+
+/**
+ * Returns the objects reachable from the objects called hashes:
+ * commits, their parents and trees, and everything in those
+ * trees. Each is returned as { hash, path }, where path is the
+ * file path a blob or tree was first found at.
+ *
+ * @param {Array} hashes
+ */
+const reachable = (hashes) => {
+  const seen = {};
+  const stack = hashes.map((h) => ({ hash: h, path: "" }));
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen[next.hash] === undefined && exists(next.hash)) {
+      seen[next.hash] = next.path;
+      const object = readObject(next.hash);
+      if (object.type === "commit") {
+        stack.push({ hash: treeHash(object.content), path: "" });
+        parentHashes(object.content).forEach((h) =>
+          stack.push({ hash: h, path: "" })
+        );
+      } else if (object.type === "tag") {
+        stack.push({ hash: parseTag(object.content).object, path: "" });
+      } else if (object.type === "tree") {
+        Utils.lines(object.content).forEach((line) => {
+          const lineTokens = line.split(/ /);
+          stack.push({
+            hash: lineTokens[1],
+            path: nodePath.join(next.path, lineTokens[2]),
+          });
+        });
+      }
+    }
+  }
+
+  return Object.keys(seen).map((h) => ({ hash: h, path: seen[h] }));
+};
+
+/**
+ * Reads the header of the object called objectHash and returns
+ * its type: commit, tree, blob or tag.
+ *
+ * @param {String} objectHash
+ */
+const type = (objectHash) => {
+  const object = readObject(objectHash);
+  if (object !== undefined) {
+    return object.type;
+  }
 };
 
 /**
@@ -159,39 +593,211 @@ const isAncestor = (descendentHash, ancestorHash) => {
 
 /**
  * Returns an array of the hashes of all the ancestor commits of commitHash.
+ * Each ancestor is listed once, however many paths lead to it.
  *
  * @param {String} commitHash
  */
 const ancestors = (commitHash) => {
-  const parents = parentHashes(read(commitHash));
-  return Utils.flatten(parents.concat(parents.map(ancestors)));
+  const seen = new Set();
+  const stack = parentHashes(read(commitHash));
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    if (!seen.has(hash)) {
+      seen.add(hash);
+      stack.push(...parentHashes(read(hash)));
+    }
+  }
+
+  return [...seen];
 };
 
 /**
- * Parses str as a commit and returns the hashes of its parents.
+ * Parses str, the content of a commit, and returns the hashes of its parents.
  *
  * @param {String} str
  */
 const parentHashes = (str) => {
-  if (type(str) === "commit") {
-    return str
-      .split("\n")
-      .filter((line) => line.match(/^parent/))
-      .map((line) => line.split(" ")[1]);
-  }
+  return str
+    .split("\n")
+    .filter((line) => line.match(/^parent /))
+    .map((line) => line.split(" ")[1]);
 };
 
 /**
- * Parses str as a commit and returns the tree it points at.
+ * Parses str, the content of a commit, and returns the tree it points at.
  *
  * @param {String} str
  */
 const treeHash = (str) => {
-  if (type(str) === "commit") {
-    return str.split(/\s/)[1];
+  const match = str.match(/^tree (\w+)/);
+  if (match !== null) {
+    return match[1];
   }
 };
 
+/**
+ * Parses str, the content of a commit, and returns its fields as
+ * a JS object: { tree, parents, author, committer, date, message }.
+ * author and committer are { name, email, date, timezone }, and
+ * date is the author's date. Commits written before authors were
+ * recorded have no author or committer, only a date.
+ *
+ * @param {String} str
+ */
+const parseCommit = (str) => {
+  const parsed = parseHeadersAndMessage(str);
+  const author = parseSignature(header(parsed.headers, "author"));
+  const committer = parseSignature(header(parsed.headers, "committer"));
+  return {
+    tree: treeHash(str),
+    parents: parentHashes(str),
+    author,
+    committer,
+    date: author === undefined ? parsed.date : author.date,
+    message: parsed.message,
+  };
+};
+
+/**
+ * Parses str, the content of an annotated tag, and returns its
+ * fields as a JS object: { object, type, tag, tagger, date, message }.
+ * tagger is { name, email, date, timezone }. Tags written before
+ * taggers were recorded this way have a tagger string instead.
+ *
+ * @param {String} str
+ */
+const parseTag = (str) => {
+  const parsed = parseHeadersAndMessage(str);
+  const tagger = header(parsed.headers, "tagger");
+  const signature = parseSignature(tagger);
+  return {
+    object: header(parsed.headers, "object"),
+    type: header(parsed.headers, "type"),
+    tag: header(parsed.headers, "tag"),
+    tagger: signature === undefined ? tagger : signature,
+    date: signature === undefined ? parsed.date : signature.date,
+    message: parsed.message,
+  };
+};
+
+/**
+ * Returns the value of the first header called name in headers, the
+ * header lines of a commit or tag, or undefined if there is none.
+ *
+ * @param {Array} headers
+ * @param {String} name
+ */
+const header = (headers, name) =>
+  headers
+    .filter((l) => l.startsWith(name + " "))
+    .map((l) => l.slice(name.length + 1))[0];
+
+/**
+ * Returns the signature sig, { name, email, date, timezone }, as it
+ * is written in an author, committer or tagger header: the name, the
+ * email in angle brackets, the date in Unix seconds and the timezone
+ * offset, eg. "Ada Lovelace <ada@example.com> 1700000000 +0100".
+ *
+ * @param {Object} sig
+ */
+const formatSignature = (sig) =>
+  sig.name +
+  " <" +
+  sig.email +
+  "> " +
+  Math.floor(sig.date.getTime() / 1000) +
+  " " +
+  sig.timezone;
+
+/**
+ * Parses str, a signature as formatSignature() writes it, and returns
+ * { name, email, date, timezone }. It returns undefined if str is not
+ * a signature.
+ *
+ * @param {String} str
+ */
+const parseSignature = (str) => {
+  const match = (str || "").match(/^(.*) <(.*)> (\d+) ([+-]\d{4})$/);
+  if (match !== null) {
+    return {
+      name: match[1],
+      email: match[2],
+      date: new Date(Number(match[3]) * 1000),
+      timezone: match[4],
+    };
+  }
+};
+
+/**
+ * Splits str, the content of a commit or tag, into its header lines,
+ * the date in its Date header and its message, without the newlines
+ * at its end. Objects written before signatures were recorded have a
+ * Date header and indent each line of the message by four spaces,
+ * which are removed.
+ *
+ * @param {String} str
+ */
+const parseHeadersAndMessage = (str) => {
+  const split = str.indexOf("\n\n");
+  const headers = Utils.lines(split === -1 ? str : str.slice(0, split));
+  const body = split === -1 ? "" : str.slice(split + 2);
+  const dateLine = headers.filter((l) => l.match(/^Date:/))[0];
+
+  return {
+    headers,
+    date:
+      dateLine === undefined
+        ? undefined
+        : new Date(dateLine.replace(/^Date:\s*/, "")),
+    message: (dateLine === undefined
+      ? body
+      : body
+          .split("\n")
+          .map((l) => l.replace(/^ {4}/, ""))
+          .join("\n")
+    ).replace(/\n+$/, ""),
+  };
+};
+
+/**
+ * Returns the hash of the object that objectHash names once any
+ * annotated tags are followed: the object a tag is for, or the
+ * object itself if it is not a tag.
+ *
+ * @param {String} objectHash
+ */
+const peel = (objectHash) => {
+  let object = readObject(objectHash);
+  while (object !== undefined && object.type === "tag") {
+    objectHash = parseTag(object.content).object;
+    object = readObject(objectHash);
+  }
+
+  return objectHash;
+};
+
+/**
+ * Returns the hash of the blob or tree at path inside the tree
+ * treeHash, where path is made of names separated by /. An empty
+ * path gives the tree itself. It returns undefined if there is
+ * nothing at path.
+ *
+ * @param {String} treeHash
+ * @param {String} path
+ */
+const treeEntry = (treeHash, path) =>
+  path
+    .split("/")
+    .filter((name) => name !== "")
+    .reduce((hash, name) => {
+      if (hash !== undefined && type(hash) === "tree") {
+        return Utils.lines(read(hash))
+          .map((line) => line.split(/ /))
+          .filter((tokens) => tokens[2] === name)
+          .map((tokens) => tokens[1])[0];
+      }
+    }, treeHash);
+
 /**
  * takes the hash of a commit and reads the content stored in the
  * tree on the commit. It turns that tree into a table of content
@@ -204,18 +810,40 @@ const commitToc = (hash) =>
   Files.flattenNestedTree(fileTree(treeHash(read(hash))));
 
 module.exports = {
+  OBJECT_TYPES,
   writeTree,
   fileTree,
   writeCommit,
+  writeTag,
+  serialize,
+  deserialize,
+  hash,
+  objectPath,
   write,
+  migrateLooseObjects,
+  repack,
+  prune,
   isUpToDate,
+  isHash,
+  isLoose,
   exists,
+  readObject,
   read,
+  looseHashes,
+  allHashes,
+  hashesWithPrefix,
   allObjects,
+  reachable,
   type,
   isAncestor,
   ancestors,
   parentHashes,
   treeHash,
+  formatSignature,
+  parseSignature,
+  parseCommit,
+  parseTag,
+  peel,
   commitToc,
+  treeEntry,
 };
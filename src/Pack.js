@@ -0,0 +1,490 @@
+const nodePath = require("path");
+const zlib = require("zlib");
+const fs = require("fs");
+
+const Config = require("./Config");
+const Files = require("./Files");
+const Utils = require("./Utils");
+
+/**
+ * Numbers that identify the kind of each entry in a packfile.
+ * A delta entry holds the instructions to rebuild an object
+ * from another object in the same pack.
+ */
+const ENTRY_KINDS = { blob: 1, tree: 2, commit: 3, tag: 4, delta: 7 };
+
+/**
+ * Packfiles and their indexes are versioned so the format can change.
+ */
+const VERSION = 1;
+
+/**
+ * Number of bytes in the blocks a delta base is indexed by.
+ */
+const BLOCK_SIZE = 16;
+
+/**
+ * Number of preceding blobs each blob is tried as a delta against.
+ */
+const DELTA_WINDOW = 10;
+
+/**
+ * Longest chain of deltas an object may have to be rebuilt through.
+ */
+const MAX_DELTA_DEPTH = 50;
+
+/**
+ * Parsed packs, keyed by the absolute path of their index file.
+ */
+const cache = {};
+
+/**
+ * Returns the path of the directory that holds the packs.
+ *
+ * @param {String} path
+ */
+const packDir = (path = "") =>
+  nodePath.join(Files.enkelgitPath(), "objects", "pack", path);
+
+/**
+ * Appends n to bytes as a variable length integer: seven bits
+ * per byte, with the high bit set on all but the last byte.
+ *
+ * @param {Array} bytes
+ * @param {Number} n
+ */
+const pushVarint = (bytes, n) => {
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+
+  bytes.push(n);
+};
+
+/**
+ * Reads a variable length integer from buf at pos. Returns the
+ * value and the position after it.
+ *
+ * @param {Buffer} buf
+ * @param {Number} pos
+ */
+const readVarint = (buf, pos) => {
+  let value = 0;
+  let shift = 1;
+  let byte;
+  do {
+    byte = buf[pos++];
+    value += (byte & 0x7f) * shift;
+    shift *= 0x80;
+  } while (byte & 0x80);
+
+  return { value, pos };
+};
+
+/**
+ * Returns a delta that rebuilds target from base. A delta is the
+ * sizes of base and target followed by instructions that either
+ * copy a range of base (1, offset, length) or insert new bytes
+ * (0, length, bytes).
+ *
+ * @param {Buffer} base
+ * @param {Buffer} target
+ */
+const computeDelta = (base, target) => {
+  const bytes = [];
+  pushVarint(bytes, base.length);
+  pushVarint(bytes, target.length);
+
+  // Index the offsets of each block of base by its content.
+  const blocks = new Map();
+  for (let i = 0; i + BLOCK_SIZE <= base.length; i += BLOCK_SIZE) {
+    const block = base.toString("latin1", i, i + BLOCK_SIZE);
+    if (!blocks.has(block)) {
+      blocks.set(block, i);
+    }
+  }
+
+  let pending = [];
+  const flushInsert = () => {
+    if (pending.length > 0) {
+      bytes.push(0);
+      pushVarint(bytes, pending.length);
+      pending.forEach((b) => bytes.push(b));
+      pending = [];
+    }
+  };
+
+  let t = 0;
+  while (t < target.length) {
+    const block = target.toString("latin1", t, t + BLOCK_SIZE);
+    if (block.length === BLOCK_SIZE && blocks.has(block)) {
+      // Grow the match forwards, then backwards over bytes that
+      // were about to be inserted.
+      let offset = blocks.get(block);
+      let length = BLOCK_SIZE;
+      while (
+        offset + length < base.length &&
+        t + length < target.length &&
+        base[offset + length] === target[t + length]
+      ) {
+        length++;
+      }
+
+      while (
+        offset > 0 &&
+        pending.length > 0 &&
+        base[offset - 1] === pending[pending.length - 1]
+      ) {
+        offset--;
+        t--;
+        length++;
+        pending.pop();
+      }
+
+      flushInsert();
+      bytes.push(1);
+      pushVarint(bytes, offset);
+      pushVarint(bytes, length);
+      t += length;
+    } else {
+      pending.push(target[t]);
+      t++;
+    }
+  }
+
+  flushInsert();
+  return Buffer.from(bytes);
+};
+
+/**
+ * Rebuilds the object that delta was computed for from base.
+ *
+ * @param {Buffer} base
+ * @param {Buffer} delta
+ */
+const applyDelta = (base, delta) => {
+  let field = readVarint(delta, 0);
+  if (field.value !== base.length) {
+    throw new Error("delta does not apply to its base");
+  }
+
+  field = readVarint(delta, field.pos);
+  const target = Buffer.alloc(field.value);
+  let pos = field.pos;
+  let t = 0;
+  while (pos < delta.length) {
+    const op = delta[pos++];
+    if (op === 1) {
+      const offset = readVarint(delta, pos);
+      const length = readVarint(delta, offset.pos);
+      base.copy(target, t, offset.value, offset.value + length.value);
+      t += length.value;
+      pos = length.pos;
+    } else {
+      const length = readVarint(delta, pos);
+      delta.copy(target, t, length.pos, length.pos + length.value);
+      t += length.value;
+      pos = length.pos + length.value;
+    }
+  }
+
+  return target;
+};
+
+/**
+ * Takes objects, an array of { hash, type, content, path }, and
+ * chooses a delta base for each blob. Blobs are ordered by path
+ * and size so versions of the same file sit together, then each
+ * is compared with the blobs in the window before it. A delta is
+ * only kept if it is less than half the size of the blob.
+ * Returns a JS object mapping hashes to { base, delta }.
+ *
+ * @param {Array} objects
+ */
+const chooseDeltas = (objects) => {
+  const blobs = objects
+    .filter((o) => o.type === "blob")
+    .sort(
+      (a, b) =>
+        (a.path || "").localeCompare(b.path || "") ||
+        b.content.length - a.content.length
+    );
+
+  const depths = {};
+  return blobs.reduce((deltas, blob, i) => {
+    depths[blob.hash] = 0;
+    blobs.slice(Math.max(0, i - DELTA_WINDOW), i).forEach((base) => {
+      if (depths[base.hash] < MAX_DELTA_DEPTH) {
+        const delta = computeDelta(base.content, blob.content);
+        const best = deltas[blob.hash];
+        if (
+          delta.length < blob.content.length / 2 &&
+          (best === undefined || delta.length < best.delta.length)
+        ) {
+          deltas[blob.hash] = { base: base.hash, delta };
+          depths[blob.hash] = depths[base.hash] + 1;
+        }
+      }
+    });
+
+    return deltas;
+  }, {});
+};
+
+/**
+ * Writes objects, an array of { hash, type, content, path },
+ * to a new packfile and writes an index for it. The pack is
+ * named after the checksum of its content, computed with
+ * algorithm. Returns the name of the pack and the number of
+ * objects stored as deltas.
+ *
+ * A pack is "PACK", the version, the object count and the hash
+ * length, then one entry per object: its kind, its size, the hash
+ * of its base if it is a delta, and its deflated data. The index
+ * is "PIDX", the version, the object count and the hash length,
+ * then the hash and pack offset of each object, sorted by hash.
+ * Both end with a checksum of everything before it.
+ *
+ * @param {Array} objects
+ * @param {String} algorithm
+ */
+const write = (objects, algorithm) => {
+  const hashLength = Buffer.from(objects[0].hash, "hex").length;
+  const deltas = chooseDeltas(objects);
+  const header = Buffer.alloc(16);
+  header.write("PACK", 0);
+  header.writeUInt32BE(VERSION, 4);
+  header.writeUInt32BE(objects.length, 8);
+  header.writeUInt32BE(hashLength, 12);
+
+  let offset = header.length;
+  const offsets = {};
+  const entries = objects.map((o) => {
+    const delta = deltas[o.hash];
+    const data = zlib.deflateSync(
+      delta === undefined ? o.content : delta.delta
+    );
+    const entry = Buffer.alloc(
+      9 + (delta === undefined ? 0 : hashLength) + data.length
+    );
+    entry[0] = ENTRY_KINDS[delta === undefined ? o.type : "delta"];
+    entry.writeUInt32BE(o.content.length, 1);
+    let pos = 5;
+    if (delta !== undefined) {
+      Buffer.from(delta.base, "hex").copy(entry, pos);
+      pos += hashLength;
+    }
+
+    entry.writeUInt32BE(data.length, pos);
+    data.copy(entry, pos + 4);
+    offsets[o.hash] = offset;
+    offset += entry.length;
+    return entry;
+  });
+
+  const body = Buffer.concat([header].concat(entries));
+  const checksum = Utils.hash(body, algorithm);
+  const name = "pack-" + checksum;
+
+  const sorted = Object.keys(offsets).sort();
+  const idx = Buffer.alloc(16 + sorted.length * (hashLength + 4));
+  idx.write("PIDX", 0);
+  idx.writeUInt32BE(VERSION, 4);
+  idx.writeUInt32BE(sorted.length, 8);
+  idx.writeUInt32BE(hashLength, 12);
+  sorted.forEach((h, i) => {
+    const pos = 16 + i * (hashLength + 4);
+    Buffer.from(h, "hex").copy(idx, pos);
+    idx.writeUInt32BE(offsets[h], pos + hashLength);
+  });
+
+  Files.write(
+    packDir(name + ".pack"),
+    Buffer.concat([body, Buffer.from(checksum, "hex")])
+  );
+  Files.write(
+    packDir(name + ".idx"),
+    Buffer.concat([idx, Buffer.from(Utils.hash(idx, algorithm), "hex")])
+  );
+
+  return { name, deltas: Object.keys(deltas).length };
+};
+
+/**
+ * Returns the names of the packs in the repository.
+ */
+const names = () => {
+  return fs.existsSync(packDir())
+    ? fs
+        .readdirSync(packDir())
+        .filter((n) => n.match(/^pack-[0-9a-f]+\.idx$/))
+        .map((n) => n.replace(/\.idx$/, ""))
+    : [];
+};
+
+/**
+ * Returns the parsed pack called name: its sorted hashes, their
+ * offsets and the content of the packfile. Packs are parsed
+ * once and then cached. The checksums, headers and sizes of the
+ * packfile and its index are checked before either is trusted.
+ *
+ * @param {String} name
+ */
+const load = (name) => {
+  const idxPath = packDir(name + ".idx");
+  if (cache[idxPath] === undefined) {
+    const idx = Files.read(idxPath, null);
+    const pack = Files.read(packDir(name + ".pack"), null);
+    const algorithm = Config.objectFormat();
+    const checksumLength = Utils.hash("", algorithm).length / 2;
+    const isIntact = (buf) =>
+      buf !== undefined &&
+      buf.length >= 16 + checksumLength &&
+      buf.slice(buf.length - checksumLength).toString("hex") ===
+        Utils.hash(buf.slice(0, buf.length - checksumLength), algorithm);
+
+    if (!isIntact(idx)) {
+      throw new Error("pack index file corrupt: bad checksum in " + name);
+    } else if (idx.toString("latin1", 0, 4) !== "PIDX") {
+      throw new Error(name + ".idx is not a pack index");
+    } else if (idx.readUInt32BE(4) !== VERSION) {
+      throw new Error(name + ".idx has unsupported version");
+    }
+
+    const count = idx.readUInt32BE(8);
+    const hashLength = idx.readUInt32BE(12);
+    if (idx.length !== 16 + count * (hashLength + 4) + checksumLength) {
+      throw new Error("pack index file corrupt: bad size in " + name);
+    } else if (!isIntact(pack)) {
+      throw new Error("pack file corrupt: bad checksum in " + name);
+    } else if (
+      pack.toString("latin1", 0, 4) !== "PACK" ||
+      pack.readUInt32BE(4) !== VERSION ||
+      pack.readUInt32BE(8) !== count ||
+      pack.readUInt32BE(12) !== hashLength
+    ) {
+      throw new Error("pack file corrupt: bad header in " + name);
+    }
+
+    const hashes = [];
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      const pos = 16 + i * (hashLength + 4);
+      hashes.push(idx.toString("hex", pos, pos + hashLength));
+      offsets.push(idx.readUInt32BE(pos + hashLength));
+    }
+
+    cache[idxPath] = { hashes, offsets, hashLength, pack };
+  }
+
+  return cache[idxPath];
+};
+
+/**
+ * Returns the position of objectHash in the sorted hashes
+ * of pack, or -1 if the pack does not contain it.
+ *
+ * @param {Object} pack
+ * @param {String} objectHash
+ */
+const indexOf = (pack, objectHash) => {
+  let low = 0;
+  let high = pack.hashes.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (pack.hashes[mid] === objectHash) {
+      return mid;
+    } else if (pack.hashes[mid] < objectHash) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Returns the parsed pack that contains objectHash, along with
+ * the position of the object in it.
+ *
+ * @param {String} objectHash
+ */
+const find = (objectHash) => {
+  return names()
+    .map((name) => {
+      const pack = load(name);
+      return { pack, i: indexOf(pack, objectHash) };
+    })
+    .filter((found) => found.i !== -1)[0];
+};
+
+/**
+ * Returns true if a pack in the repository contains objectHash.
+ *
+ * @param {String} objectHash
+ */
+const has = (objectHash) => find(objectHash) !== undefined;
+
+/**
+ * Returns the type and content of the packed object objectHash,
+ * following its chain of deltas if it has one. Returns undefined
+ * if no pack contains the object.
+ *
+ * @param {String} objectHash
+ */
+const read = (objectHash) => {
+  const found = find(objectHash);
+  if (found !== undefined) {
+    const buf = found.pack.pack;
+    let pos = found.pack.offsets[found.i];
+    const kind = buf[pos];
+    pos += 5;
+
+    let baseHash;
+    if (kind === ENTRY_KINDS.delta) {
+      baseHash = buf.toString("hex", pos, pos + found.pack.hashLength);
+      pos += found.pack.hashLength;
+    }
+
+    const length = buf.readUInt32BE(pos);
+    const data = zlib.inflateSync(buf.slice(pos + 4, pos + 4 + length));
+    if (baseHash === undefined) {
+      const type = Object.keys(ENTRY_KINDS).filter(
+        (k) => ENTRY_KINDS[k] === kind
+      )[0];
+      return { type, content: data };
+    } else {
+      const base = read(baseHash);
+      return { type: base.type, content: applyDelta(base.content, data) };
+    }
+  }
+};
+
+/**
+ * Returns the hashes of all the objects in all the packs.
+ */
+const allHashes = () => Utils.flatten(names().map((name) => load(name).hashes));
+
+/**
+ * Deletes the pack called name and its index.
+ *
+ * @param {String} name
+ */
+const rm = (name) => {
+  delete cache[packDir(name + ".idx")];
+  fs.unlinkSync(packDir(name + ".pack"));
+  fs.unlinkSync(packDir(name + ".idx"));
+};
+
+module.exports = {
+  computeDelta,
+  applyDelta,
+  write,
+  names,
+  has,
+  read,
+  allHashes,
+  rm,
+};
@@ -3,20 +3,66 @@ const fs = require("fs");
 
 const Objects = require("./Objects");
 const Config = require("./Config");
+const Index = require("./Index");
 const Files = require("./Files");
+const Reflog = require("./Reflog");
 const Utils = require("./Utils");
 
 /**
- * Returns true if ref matches valid qualified ref syntax.
+ * Refs that live at the top of the .enkelgit directory.
+ */
+const SPECIAL_REFS = ["HEAD", "FETCH_HEAD", "MERGE_HEAD", "ORIG_HEAD"];
+
+/**
+ * Name of the file, in the .enkelgit directory, that stores many
+ * refs in one place. A loose ref, stored in a file of its own,
+ * takes precedence over the entry for the same ref in it.
+ */
+const PACKED_REFS = "packed-refs";
+
+/**
+ * Parsed packed refs files, keyed by their absolute path.
+ */
+const packedCache = {};
+
+/**
+ * Returns true if name follows Git's rules for ref names. It is
+ * made of components separated by /. No component may be empty,
+ * start with a dot or end with .lock. The name may not end with
+ * a dot, contain .. or @{, be @ on its own, or contain spaces,
+ * control characters or any of ~ ^ : ? * [ \. Unless allowOneLevel
+ * is true, it must have at least two components, like refs/heads.
+ *
+ * @param {String} name
+ * @param {Boolean} allowOneLevel
+ */
+const isValidRefName = (name, allowOneLevel = false) => {
+  const components = Utils.isString(name) ? name.split("/") : [];
+  return (
+    components.length >= (allowOneLevel ? 1 : 2) &&
+    components.every(
+      (c) => c !== "" && !c.startsWith(".") && !c.endsWith(".lock")
+    ) &&
+    !name.endsWith(".") &&
+    name.indexOf("..") === -1 &&
+    name.indexOf("@{") === -1 &&
+    name !== "@" &&
+    name.match(/[\x00-\x20\x7f~^:?*[\\]/) === null
+  );
+};
+
+/**
+ * Returns true if ref matches valid qualified ref syntax: a branch,
+ * tag or remote branch ref with a valid name, or a special ref.
  *
  * @param {String} ref
  */
 const isRef = (ref) => {
   return (
-    ref !== undefined &&
-    (ref.match("^refs/heads/[A-Za-z-]+$") ||
-      ref.match("^refs/remotes/[A-Za-z-]+/[A-Za-z-]+$") ||
-      ["HEAD", "FETCH_HEAD", "MERGE_HEAD"].indexOf(ref) !== -1)
+    Utils.isString(ref) &&
+    ((ref.match("^refs/(heads|tags)/") !== null && isValidRefName(ref)) ||
+      (ref.match("^refs/remotes/[^/]+/[^/]") !== null && isValidRefName(ref)) ||
+      SPECIAL_REFS.indexOf(ref) !== -1)
   );
 };
 
@@ -42,11 +88,260 @@ const terminalRef = (ref) => {
 };
 
 /**
- * Returns the hash that refOrHash points to.
+ * Like objectHash(), but if revision names an annotated tag, the hash
+ * of the object the tag is for is returned instead. It is used where
+ * a commit is needed, so a tag can be given for the commit it tags.
+ *
+ * @param {String} revision
+ */
+const hash = (revision) => {
+  const named = objectHash(revision);
+  return named === undefined ? undefined : Objects.peel(named);
+};
+
+/**
+ * Returns the hash of the object that revision names, or undefined
+ * if it names nothing. Annotated tags are not followed, so a tag
+ * names the tag object. revision is a ref, a hash or a unique
+ * abbreviation of one, optionally followed by operators that walk
+ * back through history:
+ *
+ *   HEAD~3       the first parent of the first parent of the first
+ *                parent of HEAD. ~ alone means ~1.
+ *   master^2     the second parent of master. ^ alone means ^1,
+ *                and ^0 is the commit itself.
+ *   v1.0^{}      the object that the annotated tag v1.0 is for.
+ *                v1.0^{commit} is the commit, and ^{tree} its tree.
+ *   @{upstream}  the remote branch that the checked out branch
+ *                tracks. @{u} is short for it, and name@{u} gives
+ *                the upstream of the branch called name.
+ *   HEAD@{2}     the commit HEAD pointed at two moves ago, from
+ *                HEAD's log. @{2} reads the checked out branch's log.
+ *   master@{yesterday}  the commit master pointed at a day ago. Any
+ *                date that Reflog.parseDate() reads may be used.
+ *   HEAD:src/a   the blob or tree at src/a in HEAD. :src/a is the
+ *                blob staged in the index for src/a.
+ *   :/fix bug    the newest commit, reachable from any ref, whose
+ *                message matches the regular expression "fix bug".
+ *
+ * @ on its own means HEAD.
+ *
+ * @param {String} revision
+ */
+const objectHash = (revision) => {
+  if (!Utils.isString(revision)) {
+    return undefined;
+  } else if (revision.startsWith(":/")) {
+    return searchMessages(revision.slice(2));
+  } else if (pathSeparator(revision) !== -1) {
+    const split = pathSeparator(revision);
+    const path = revision.slice(split + 1);
+    if (split === 0) {
+      return Index.toc()[path];
+    } else {
+      const commitHash = hash(revision.slice(0, split));
+      const tree =
+        commitHash !== undefined && Objects.type(commitHash) === "commit"
+          ? Objects.treeHash(Objects.read(commitHash))
+          : commitHash;
+      return tree === undefined ? undefined : Objects.treeEntry(tree, path);
+    }
+  } else {
+    // Split the revision into the name it starts from and the
+    // ~, ^ and ^{type} operators that follow it.
+    const match = revision.match(/^([^~^]*)((?:[~^]\d*|\^\{\w*\})*)$/);
+    if (match === null) {
+      return undefined;
+    }
+
+    const ops = match[2].match(/\^\{\w*\}|[~^]\d*/g) || [];
+    return ops.reduce((h, op) => {
+      const commitHash = h === undefined ? undefined : Objects.peel(h);
+      if (op[1] === "{") {
+        return peelTo(h, op.slice(2, -1));
+      } else if (
+        commitHash === undefined ||
+        Objects.type(commitHash) !== "commit"
+      ) {
+        return undefined;
+      }
+
+      const n = op.length === 1 ? 1 : parseInt(op.slice(1), 10);
+      if (op[0] === "^") {
+        return n === 0
+          ? commitHash
+          : Objects.parentHashes(Objects.read(commitHash))[n - 1];
+      } else {
+        let ancestor = commitHash;
+        for (let i = 0; i < n && ancestor !== undefined; i++) {
+          ancestor = Objects.parentHashes(Objects.read(ancestor))[0];
+        }
+
+        return ancestor;
+      }
+    }, nameHash(match[1]));
+  }
+};
+
+/**
+ * Returns the hash of the object of type that the object called
+ * objectHash leads to, or undefined if it leads to none. Annotated
+ * tags are followed, unless type is "tag", and a commit leads to
+ * its tree. An empty type means whatever the tags lead to.
+ *
+ * @param {String} objectHash
+ * @param {String} type
+ */
+const peelTo = (objectHash, type) => {
+  const peeled =
+    objectHash === undefined ? undefined : Objects.peel(objectHash);
+  if (peeled === undefined || type === "") {
+    return peeled;
+  } else if (type === "tag") {
+    return Objects.type(objectHash) === "tag" ? objectHash : undefined;
+  } else if (type === "tree" && Objects.type(peeled) === "commit") {
+    return Objects.treeHash(Objects.read(peeled));
+  } else if (Objects.type(peeled) === type) {
+    return peeled;
+  }
+};
+
+/**
+ * Returns the index of the : that separates a revision from a path
+ * in revision, or -1 if there is none. A : inside @{...}, like the
+ * one in master@{2024-05-01 12:00}, is part of a date.
+ *
+ * @param {String} revision
+ */
+const pathSeparator = (revision) =>
+  revision
+    .replace(/@\{[^}]*\}/g, (m) => "@" + "_".repeat(m.length - 1))
+    .indexOf(":");
+
+/**
+ * Returns the hash of the object that name names, where name is a
+ * revision without operators (see objectHash()). Names that are not
+ * refs are tried as abbreviated hashes.
+ * It throws if an abbreviation matches more than one object.
+ *
+ * @param {String} name
+ */
+const nameHash = (name) => {
+  const brace = name.match(/^(.*)@\{(.*)\}$/);
+  if (name === "@") {
+    return objectHash("HEAD");
+  } else if (brace !== null) {
+    const branchName =
+      brace[1] === "" || brace[1] === "HEAD" ? headBranchName() : brace[1];
+    if (brace[2] === "upstream" || brace[2] === "u") {
+      return objectHash(upstream(branchName));
+    } else {
+      // Otherwise, look the value up in the ref's log.
+      return Reflog.lookup(logRef(brace[1]), brace[2]);
+    }
+  } else if (resolve(name) !== undefined) {
+    return resolve(name);
+  } else if (name.match(/^[0-9a-f]{4,}$/) !== null) {
+    const matches = Objects.hashesWithPrefix(name);
+    if (matches.length > 1) {
+      throw new Error("short object ID " + name + " is ambiguous");
+    } else if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+};
+
+/**
+ * Returns the qualified ref whose log name refers to in a revision
+ * like name@{2}. An empty name means the checked out branch, or
+ * HEAD if it is detached. Otherwise, name is tried as a branch,
+ * then a tag, then a remote branch.
+ *
+ * @param {String} name
+ */
+const logRef = (name) => {
+  if (name === "HEAD") {
+    return "HEAD";
+  } else if (name === "") {
+    return terminalRef("HEAD");
+  } else {
+    const refs = [
+      terminalRef(name),
+      toTagRef(name),
+      "refs/remotes/" + name,
+    ].filter((r) => Reflog.read(r).length > 0);
+    return refs.length > 0 ? refs[0] : terminalRef(name);
+  }
+};
+
+/**
+ * Returns the qualified ref of the remote branch that the branch
+ * called branchName tracks, as set in the branch's section of the
+ * config, or undefined if the branch doesn't track one.
+ *
+ * @param {String} branchName
+ */
+const trackedRef = (branchName) => {
+  const branchConfig =
+    branchName === undefined
+      ? {}
+      : (Config.read().branch || {})[branchName] || {};
+  if (branchConfig.remote !== undefined && branchConfig.merge !== undefined) {
+    const mergeBranch = branchConfig.merge.replace(/^refs\/heads\//, "");
+    return branchConfig.remote === "."
+      ? toLocalRef(mergeBranch)
+      : toRemoteRef(branchConfig.remote, mergeBranch);
+  }
+};
+
+/**
+ * Like trackedRef(), but throws if the branch called branchName
+ * doesn't track a remote branch.
+ *
+ * @param {String} branchName
+ */
+const upstream = (branchName) => {
+  const ref = trackedRef(branchName);
+  if (ref === undefined) {
+    throw new Error(
+      "no upstream configured for branch '" + (branchName || "HEAD") + "'"
+    );
+  }
+
+  return ref;
+};
+
+/**
+ * Returns the hash of the newest commit, reachable from any ref,
+ * whose message matches the regular expression pattern.
+ *
+ * @param {String} pattern
+ */
+const searchMessages = (pattern) => {
+  const regex = new RegExp(pattern);
+  const starts = Object.values(allRefs())
+    .map(Objects.peel)
+    .filter((h) => Objects.type(h) === "commit");
+  const commits = Utils.unique(
+    starts.concat(Utils.flatten(starts.map(Objects.ancestors)))
+  ).map((h) =>
+    Object.assign({ hash: h }, Objects.parseCommit(Objects.read(h)))
+  );
+
+  return commits
+    .filter((c) => regex.test(c.message))
+    .sort((a, b) => b.date - a.date)
+    .map((c) => c.hash)[0];
+};
+
+/**
+ * Returns the hash that refOrHash points to, without following
+ * annotated tags. An unqualified name is looked up as a branch,
+ * then as a tag and then as a remote branch, like origin/master.
  *
  * @param {String} refOrHash
  */
-const hash = (refOrHash) => {
+const resolve = (refOrHash) => {
   if (Objects.exists(refOrHash)) {
     return refOrHash;
   } else {
@@ -54,11 +349,132 @@ const hash = (refOrHash) => {
     if (termRef === "FETCH_HEAD") {
       return fetchHeadBranchToMerge(headBranchName());
     } else if (exists(termRef)) {
-      return Files.read(Files.enkelgitPath(termRef));
+      return read(termRef);
+    } else if (exists(toTagRef(refOrHash))) {
+      return read(toTagRef(refOrHash));
+    } else if (exists("refs/remotes/" + refOrHash)) {
+      return read("refs/remotes/" + refOrHash);
     }
   }
 };
 
+/**
+ * Returns the content of the qualified ref ref: its loose file if
+ * it has one, otherwise its entry in the packed refs file.
+ *
+ * @param {String} ref
+ */
+const read = (ref) =>
+  isLoose(ref) ? Files.read(Files.enkelgitPath(ref)) : packedRefs()[ref];
+
+/**
+ * Returns true if the qualified ref ref is stored in a file of
+ * its own.
+ *
+ * @param {String} ref
+ */
+const isLoose = (ref) =>
+  fs.existsSync(Files.enkelgitPath(ref)) &&
+  fs.statSync(Files.enkelgitPath(ref)).isFile();
+
+/**
+ * Returns a JS object that maps the qualified refs in the packed
+ * refs file to the hashes they point to. The file is parsed again
+ * only when it has been replaced since it was last read.
+ */
+const packedRefs = () => {
+  const path = Files.enkelgitPath(PACKED_REFS);
+  if (!fs.existsSync(path)) {
+    return {};
+  }
+
+  const stat = fs.statSync(path);
+  const stamp = [stat.ino, stat.mtimeMs, stat.size].join(":");
+  if (packedCache[path] === undefined || packedCache[path].stamp !== stamp) {
+    packedCache[path] = { stamp, refs: parsePackedRefs(Files.read(path)) };
+  }
+
+  return packedCache[path].refs;
+};
+
+/**
+ * Parses str, the content of a packed refs file. Each line is a hash
+ * and the ref that points to it. A line starting with ^ gives the
+ * commit that the annotated tag on the line before points to, and
+ * a line starting with # is a comment.
+ *
+ * @param {String} str
+ */
+const parsePackedRefs = (str) =>
+  Utils.lines(str)
+    .filter((l) => !l.startsWith("#") && !l.startsWith("^"))
+    .map((l) => l.split(" "))
+    .reduce((o, pair) => Utils.setIn(o, [pair[1], pair[0]]), {});
+
+/**
+ * Returns the content of a packed refs file that stores refs, a JS
+ * object that maps qualified refs to hashes. Annotated tags are
+ * followed by the commit they point to.
+ *
+ * @param {Object} refs
+ */
+const packedRefsToStr = (refs) =>
+  "# pack-refs with: peeled sorted\n" +
+  Object.keys(refs)
+    .sort()
+    .map((ref) => {
+      const peeled = Objects.peel(refs[ref]);
+      return (
+        refs[ref] +
+        " " +
+        ref +
+        "\n" +
+        (peeled !== refs[ref] ? "^" + peeled + "\n" : "")
+      );
+    })
+    .join("");
+
+/**
+ * Moves every loose ref under refs/ into the packed refs file and
+ * returns the number of refs packed. A loose ref is only removed
+ * if no other process changed it while the file was written.
+ */
+const pack = () => {
+  const loose = refNames("refs")
+    .map((n) => "refs/" + n)
+    .filter(isLoose)
+    .reduce((o, ref) => Utils.setIn(o, [ref, read(ref)]), {});
+
+  Files.updateLocked(Files.enkelgitPath(PACKED_REFS), (content) =>
+    packedRefsToStr(Object.assign(parsePackedRefs(content || ""), loose))
+  );
+
+  Object.keys(loose)
+    .filter((ref) => read(ref) === loose[ref])
+    .forEach(rmLoose);
+
+  return Object.keys(loose).length;
+};
+
+/**
+ * Removes the loose file for the qualified ref ref, and then any
+ * directories of refs that removing it left empty.
+ *
+ * @param {String} ref
+ */
+const rmLoose = (ref) => {
+  fs.unlinkSync(Files.enkelgitPath(ref));
+
+  let dir = nodePath.dirname(ref);
+  while (
+    dir.split("/").length > 2 &&
+    fs.readdirSync(Files.enkelgitPath(dir)).length === 0
+  ) {
+    fs.rmdirSync(Files.enkelgitPath(dir));
+    dir = nodePath.dirname(dir);
+  }
+};
+
 /**
  * Returns true if HEAD contains a commit hash, rather than the ref of a branch.
  */
@@ -81,6 +497,13 @@ const isCheckedOut = (branch) =>
  */
 const toLocalRef = (name) => "refs/heads/" + name;
 
+/**
+ * Converts the tag name name into a qualified tag ref.
+ *
+ * @param {String} name
+ */
+const toTagRef = (name) => "refs/tags/" + name;
+
 /**
  * Converts remote and branch name name into a qualified remote branch ref.
  *
@@ -91,24 +514,99 @@ const toRemoteRef = (remote, name) => "refs/remotes/" + remote + "/" + name;
 
 /**
  * Sets the content of the file for the qualified ref ref to content.
+ * The file is replaced under its lock. A packed ref gets a loose
+ * file, which takes precedence over its packed entry. If oldHash is
+ * passed, the ref is only written if it still points at oldHash, so
+ * an update based on an old value of the ref can't undo another
+ * process's update. Pass null as oldHash if the ref must not exist
+ * yet. If reason is passed, the move is recorded in the ref's log,
+ * and in HEAD's log if HEAD points at the ref.
  *
  * @param {String} ref
  * @param {String} content
+ * @param {String} oldHash
+ * @param {String} reason
  */
-const write = (ref, content) => {
+const write = (ref, content, oldHash, reason) => {
   if (isRef(ref)) {
-    Files.write(Files.enkelgitPath(nodePath.normalize(ref)), content);
+    // Abort if a ref whose name is a directory in ref's name exists,
+    // eg. refs/heads/a when writing refs/heads/a/b, or if ref's name
+    // is a directory of other refs.
+    const clash = ref
+      .split("/")
+      .map((_, i, pieces) => pieces.slice(0, i + 1).join("/"))
+      .filter((r) => r !== ref && r.split("/").length > 2)
+      .filter(exists)[0];
+    const refPath = Files.enkelgitPath(ref);
+    if (clash !== undefined) {
+      throw new Error("cannot lock ref " + ref + ": " + clash + " exists");
+    } else if (
+      (fs.existsSync(refPath) && fs.statSync(refPath).isDirectory()) ||
+      Object.keys(packedRefs()).some((r) => r.startsWith(ref + "/"))
+    ) {
+      throw new Error("cannot lock ref " + ref + ": there are refs under it");
+    }
+
+    const before = reason === undefined ? undefined : resolve(ref);
+    Files.updateLocked(Files.enkelgitPath(nodePath.normalize(ref)), (loose) => {
+      // A ref without a loose file may still be packed.
+      const current = loose !== undefined ? loose : packedRefs()[ref];
+      if (oldHash === null && current !== undefined) {
+        // Abort if the ref was to be created but already exists.
+        throw new Error("cannot lock ref " + ref + ": it already exists");
+      } else if (
+        oldHash !== undefined &&
+        oldHash !== null &&
+        current !== oldHash
+      ) {
+        // Abort if the ref no longer points where it was expected to.
+        throw new Error(
+          "cannot lock ref " +
+            ref +
+            ": is at " +
+            current +
+            " but expected " +
+            oldHash
+        );
+      }
+
+      return content;
+    });
+
+    // A branch that didn't move is not logged. HEAD always is, as
+    // it may have moved to another branch at the same commit.
+    const after = reason === undefined ? undefined : resolve(ref);
+    if (reason !== undefined && (ref === "HEAD" || before !== after)) {
+      const isHeadBranch =
+        ref !== "HEAD" && !isHeadDetached() && terminalRef("HEAD") === ref;
+      [ref]
+        .concat(isHeadBranch ? ["HEAD"] : [])
+        .forEach((r) => Reflog.append(r, before, after, reason));
+    }
   }
 };
 
 /**
- * Removes the file for the qualified ref ref.
+ * Removes the qualified ref ref, from its loose file and from the
+ * packed refs file, along with its log.
  *
  * @param {String} ref
  */
 const rm = (ref) => {
   if (isRef(ref)) {
-    fs.unlinkSync(Files.enkelgitPath(ref));
+    if (packedRefs()[ref] !== undefined) {
+      Files.updateLocked(Files.enkelgitPath(PACKED_REFS), (content) => {
+        const refs = parsePackedRefs(content || "");
+        delete refs[ref];
+        return packedRefsToStr(refs);
+      });
+    }
+
+    if (isLoose(ref)) {
+      rmLoose(ref);
+    }
+
+    Reflog.rm(ref);
   }
 };
 
@@ -124,14 +622,93 @@ const fetchHeadBranchToMerge = (branchName) => {
     .map((l) => l.match("^([^ ]+) ")[1])[0];
 };
 
+/**
+ * Points each ref that points to an object named in renames, a JS
+ * object that maps old object names to new hashes, to the object's
+ * new hash, and does the same for the hashes in FETCH_HEAD. It is
+ * used when objects are migrated to new hashes.
+ *
+ * @param {Object} renames
+ */
+const rehash = (renames) => {
+  refNames("refs")
+    .map((n) => "refs/" + n)
+    .concat(["HEAD", "MERGE_HEAD", "ORIG_HEAD"])
+    .filter((ref) => exists(ref) && renames[read(ref)] !== undefined)
+    .forEach((ref) => write(ref, renames[read(ref)], read(ref)));
+
+  const fetchHeadPath = Files.enkelgitPath("FETCH_HEAD");
+  if (fs.existsSync(fetchHeadPath)) {
+    Files.updateLocked(fetchHeadPath, (content) =>
+      content.replace(/^(\w+) /gm, (line, h) =>
+        renames[h] !== undefined ? renames[h] + " " : line
+      )
+    );
+  }
+};
+
+/**
+ * Returns the names of the refs under dir, eg. "refs/heads",
+ * relative to dir, whether they are loose or packed. Loose refs
+ * with a / in their name are found in subdirectories.
+ *
+ * @param {String} dir
+ */
+const refNames = (dir) =>
+  Utils.unique(
+    Files.lsRecursive(Files.enkelgitPath(dir))
+      .map((p) =>
+        nodePath
+          .relative(Files.enkelgitPath(dir), p)
+          .split(nodePath.sep)
+          .join("/")
+      )
+      .concat(
+        Object.keys(packedRefs())
+          .filter((ref) => ref.startsWith(dir + "/"))
+          .map((ref) => ref.slice(dir.length + 1))
+      )
+  )
+    .filter((n) => isRef(dir + "/" + n))
+    .sort();
+
 /**
  * Returns a JS object that maps local branch names to the hash
  * of the commit they point to.
  */
 const localHeads = () => {
-  return fs
-    .readdirSync(nodePath.join(Files.enkelgitPath(), "refs", "heads"))
-    .reduce((o, n) => Utils.setIn(o, [n, hash(n)]), {});
+  return refNames("refs/heads").reduce(
+    (o, n) => Utils.setIn(o, [n, hash(toLocalRef(n))]),
+    {}
+  );
+};
+
+/**
+ * Returns a JS object that maps tag names to the hash each tag
+ * points to: a commit for a lightweight tag, or the tag object
+ * of an annotated tag.
+ */
+const tags = () => {
+  return refNames("refs/tags").reduce(
+    (o, n) => Utils.setIn(o, [n, resolve(toTagRef(n))]),
+    {}
+  );
+};
+
+/**
+ * Returns a JS object that maps every qualified ref in the
+ * repository, plus HEAD, MERGE_HEAD and ORIG_HEAD, to the hash it
+ * points to.
+ * Annotated tags are not followed, so tags map to tag objects.
+ */
+const allRefs = () => {
+  const refs = refNames("refs")
+    .map((n) => "refs/" + n)
+    .concat(["HEAD", "MERGE_HEAD", "ORIG_HEAD"]);
+
+  return refs
+    .filter((ref) => resolve(ref) !== undefined)
+    .reduce((o, ref) => Utils.setIn(o, [ref, resolve(ref)]), {});
 };
 
 /**
@@ -139,7 +716,8 @@ const localHeads = () => {
  *
  * @param {String} ref
  */
-const exists = (ref) => isRef(ref) && fs.existsSync(Files.enkelgitPath(ref));
+const exists = (ref) =>
+  isRef(ref) && (isLoose(ref) || packedRefs()[ref] !== undefined);
 
 /**
  * Returns the name of the branch that HEAD is pointing at.
@@ -172,18 +750,33 @@ const commitParentHashes = () => {
 };
 
 module.exports = {
+  SPECIAL_REFS,
+  PACKED_REFS,
+  isValidRefName,
   isRef,
   terminalRef,
   hash,
+  objectHash,
+  resolve,
+  read,
+  parsePackedRefs,
+  logRef,
+  trackedRef,
+  upstream,
   isHeadDetached,
   isCheckedOut,
   toLocalRef,
+  toTagRef,
   toRemoteRef,
   write,
   rm,
   fetchHeadBranchToMerge,
+  rehash,
   localHeads,
+  tags,
+  allRefs,
   exists,
+  pack,
   headBranchName,
   commitParentHashes,
 };
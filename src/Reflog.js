@@ -0,0 +1,261 @@
+const nodePath = require("path");
+const fs = require("fs");
+
+const Objects = require("./Objects");
+const Config = require("./Config");
+const Files = require("./Files");
+const Utils = require("./Utils");
+
+/**
+ * Directory, inside the .enkelgit directory, that holds the log of
+ * each ref. The log of refs/heads/master is at logs/refs/heads/master.
+ */
+const LOGS_DIR = "logs";
+
+/**
+ * How long, in days, reflog expire keeps entries by default.
+ */
+const DEFAULT_EXPIRE_DAYS = 90;
+
+/**
+ * Number of milliseconds in each unit that a relative date like
+ * "2.weeks.ago" may use.
+ */
+const UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Returns the path of the log of the qualified ref ref.
+ *
+ * @param {String} ref
+ */
+const logPath = (ref) => Files.enkelgitPath(nodePath.join(LOGS_DIR, ref));
+
+/**
+ * Records in the log of the qualified ref ref that it moved from
+ * oldHash to newHash, who moved it, when, and message, the reason
+ * why, eg. "commit: fix typo". A ref that didn't exist before, or
+ * no longer exists, is recorded as a hash of zeros.
+ *
+ * @param {String} ref
+ * @param {String} oldHash
+ * @param {String} newHash
+ * @param {String} message
+ */
+const append = (ref, oldHash, newHash, message) => {
+  const zeros = "0".repeat((oldHash || newHash).length);
+  const line =
+    (oldHash || zeros) +
+    " " +
+    (newHash || zeros) +
+    " " +
+    Objects.formatSignature(Config.identity("committer")) +
+    "\t" +
+    message.split("\n")[0] +
+    "\n";
+
+  // Entries are only ever added to the end, so the line is appended
+  // rather than the whole log being rewritten under its lock.
+  fs.mkdirSync(nodePath.dirname(logPath(ref)), { recursive: true });
+  fs.appendFileSync(logPath(ref), line);
+};
+
+/**
+ * Returns the entries in the log of the qualified ref ref, newest
+ * first. Each is { oldHash, newHash, identity, date, timezone,
+ * message }.
+ *
+ * @param {String} ref
+ */
+const read = (ref) =>
+  Utils.lines(Files.read(logPath(ref)) || "")
+    .map(parseLine)
+    .reverse();
+
+/**
+ * Parses line, one line of a log, into an entry.
+ *
+ * @param {String} line
+ */
+const parseLine = (line) => {
+  const m = line.match(/^(\S+) (\S+) (.*) (\d+) ([+-]\d{4})\t(.*)$/);
+  return {
+    oldHash: m[1],
+    newHash: m[2],
+    identity: m[3],
+    date: new Date(Number(m[4]) * 1000),
+    timezone: m[5],
+    message: m[6],
+  };
+};
+
+/**
+ * Returns the line of a log that records entry.
+ *
+ * @param {Object} entry
+ */
+const toLine = (entry) =>
+  entry.oldHash +
+  " " +
+  entry.newHash +
+  " " +
+  entry.identity +
+  " " +
+  Math.floor(entry.date.getTime() / 1000) +
+  " " +
+  entry.timezone +
+  "\t" +
+  entry.message +
+  "\n";
+
+/**
+ * Returns the qualified refs that have logs.
+ */
+const refs = () => {
+  const dir = Files.enkelgitPath(LOGS_DIR);
+  return Files.lsRecursive(dir)
+    .filter((p) => !p.endsWith(Files.LOCK_SUFFIX))
+    .map((p) => nodePath.relative(dir, p).split(nodePath.sep).join("/"))
+    .sort();
+};
+
+/**
+ * Returns the hashes of every commit recorded in any log, so that
+ * gc keeps the commits that the logs can still bring back.
+ */
+const hashes = () =>
+  Utils.unique(
+    Utils.flatten(
+      refs().map((ref) => read(ref).map((e) => [e.oldHash, e.newHash]))
+    )
+  ).filter((h) => h.match(/^0+$/) === null);
+
+/**
+ * Returns the hash that the qualified ref ref pointed at according
+ * to selector, the part of a revision like master@{2} between the
+ * braces. A number n asks for the value the ref had n moves ago,
+ * so 0 is its current value. Anything else is read as a date (see
+ * parseDate()) and asks for the value the ref had at that time.
+ * It returns undefined if the log doesn't go back that far, or if
+ * selector is not a number or a date.
+ *
+ * @param {String} ref
+ * @param {String} selector
+ */
+const lookup = (ref, selector) => {
+  const entries = read(ref);
+  if (selector.match(/^\d+$/) !== null) {
+    const entry = entries[Number(selector)];
+    return entry === undefined ? undefined : entry.newHash;
+  } else {
+    // Take the newest entry made at or before the date. If the log
+    // starts after the date, take the oldest value it knows.
+    const date = parseDate(selector);
+    if (date !== undefined && entries.length > 0) {
+      const entry =
+        entries.find((e) => e.date.getTime() <= date) ||
+        entries[entries.length - 1];
+      return entry.newHash;
+    }
+  }
+};
+
+/**
+ * Returns the time, in milliseconds since the epoch, that str
+ * names. str is "now", "yesterday", a relative date like
+ * "2.days.ago" or "3 hours ago", or an absolute date like
+ * "2024-05-01 12:00". It returns undefined if str is not a date.
+ *
+ * @param {String} str
+ * @param {Number} now
+ */
+const parseDate = (str, now = Date.now()) => {
+  const relative = str.match(
+    /^(\d+)[. ](second|minute|hour|day|week|month|year)s?[. ]ago$/
+  );
+  if (str === "now") {
+    return now;
+  } else if (str === "yesterday") {
+    return now - UNITS.day;
+  } else if (relative !== null) {
+    return now - Number(relative[1]) * UNITS[relative[2]];
+  } else if (!isNaN(Date.parse(str))) {
+    return Date.parse(str);
+  }
+};
+
+/**
+ * Removes the entries in the log of the qualified ref ref that were
+ * made before before, a time in milliseconds since the epoch. It
+ * returns the number of entries removed.
+ *
+ * @param {String} ref
+ * @param {Number} before
+ */
+const expire = (ref, before) => {
+  const entries = read(ref);
+  const kept = entries.filter((e) => e.date.getTime() >= before);
+  if (kept.length < entries.length) {
+    Files.writeLocked(logPath(ref), kept.reverse().map(toLine).join(""));
+  }
+
+  return entries.length - kept.length;
+};
+
+/**
+ * Deletes the log of the qualified ref ref, and then any
+ * directories of logs that deleting it left empty.
+ *
+ * @param {String} ref
+ */
+const rm = (ref) => {
+  if (fs.existsSync(logPath(ref))) {
+    fs.unlinkSync(logPath(ref));
+
+    let dir = nodePath.dirname(ref);
+    while (
+      dir !== "." &&
+      fs.readdirSync(Files.enkelgitPath(nodePath.join(LOGS_DIR, dir)))
+        .length === 0
+    ) {
+      fs.rmdirSync(Files.enkelgitPath(nodePath.join(LOGS_DIR, dir)));
+      dir = nodePath.dirname(dir);
+    }
+  }
+};
+
+/**
+ * Moves the log of the qualified ref oldRef to be the log of newRef.
+ *
+ * @param {String} oldRef
+ * @param {String} newRef
+ */
+const rename = (oldRef, newRef) => {
+  const content = Files.read(logPath(oldRef));
+  if (content !== undefined) {
+    rm(oldRef);
+    Files.writeLocked(logPath(newRef), content);
+  }
+};
+
+module.exports = {
+  LOGS_DIR,
+  DEFAULT_EXPIRE_DAYS,
+  append,
+  read,
+  parseLine,
+  refs,
+  hashes,
+  lookup,
+  parseDate,
+  expire,
+  rm,
+  rename,
+};
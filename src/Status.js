@@ -1,6 +1,8 @@
+const nodePath = require("path");
 const fs = require("fs");
 
 const Objects = require("./Objects");
+const Ignore = require("./Ignore");
 const Files = require("./Files");
 const Index = require("./Index");
 const Utils = require("./Utils");
@@ -8,14 +10,94 @@ const Diff = require("./Diff");
 const Refs = require("./Refers");
 
 /**
- * Returns an array of lines listing the files not being tracked by Enkelgit.
+ * Returns an array of the paths of the files in the working copy
+ * that are not tracked by Enkelgit. A directory that holds no
+ * tracked files is listed once, with a trailing /, instead of
+ * listing everything in it. Files matched by an ignore file are
+ * left out, as are directories that only hold ignored files.
  */
 const untracked = () => {
-  return fs
-    .readdirSync(Files.workingCopyPath())
-    .filter((p) => Index.toc()[p] === undefined && p !== ".enkelgit");
+  const match = Ignore.matcher();
+  const toc = Index.toc();
+  const trackedDirs = new Set(
+    Utils.flatten(
+      Object.keys(toc).map((p) =>
+        p
+          .split(nodePath.sep)
+          .slice(0, -1)
+          .map((_, i, dirs) => dirs.slice(0, i + 1).join(nodePath.sep))
+      )
+    )
+  );
+
+  const walk = (dir) =>
+    fs
+      .readdirSync(Files.workingCopyPath(dir))
+      .sort()
+      .map((name) => nodePath.join(dir, name))
+      .filter((p) => !Ignore.isIgnored(p, match))
+      .reduce((paths, p) => {
+        if (!fs.statSync(Files.workingCopyPath(p)).isDirectory()) {
+          return toc[p] === undefined ? paths.concat([p]) : paths;
+        } else if (trackedDirs.has(p)) {
+          return paths.concat(walk(p));
+        } else {
+          return walk(p).length > 0 ? paths.concat([p + nodePath.sep]) : paths;
+        }
+      }, []);
+
+  return walk("");
+};
+
+/**
+ * Returns an array that describes each path that is untracked,
+ * conflicted or changed, sorted by path. Each element is
+ * { path, index, workingTree }, where index is the status of the
+ * path in the index compared to HEAD and workingTree is its status
+ * in the working copy compared to the index. Statuses are the
+ * letters used in diffs, " " for unchanged, "?" for untracked
+ * and "U" for conflicted.
+ */
+const entries = () => {
+  const conflicts = Index.conflictedPaths();
+  const headHash = Refs.hash("HEAD");
+  const headToc = headHash === undefined ? {} : Objects.commitToc(headHash);
+  const staged = Diff.nameStatus(Diff.tocDiff(headToc, Index.toc()));
+  const unstaged = Diff.nameStatus(Diff.diff());
+
+  const byPath = {};
+  const set = (path, index, workingTree) => {
+    const entry = byPath[path] || { path, index: " ", workingTree: " " };
+    byPath[path] = {
+      path,
+      index: index || entry.index,
+      workingTree: workingTree || entry.workingTree,
+    };
+  };
+
+  untracked().forEach((p) => set(p, "?", "?"));
+  conflicts.forEach((p) => set(p, "U", "U"));
+  Object.keys(staged)
+    .filter((p) => conflicts.indexOf(p) === -1)
+    .forEach((p) => set(p, staged[p]));
+  Object.keys(unstaged)
+    .filter((p) => conflicts.indexOf(p) === -1)
+    .forEach((p) => set(p, undefined, unstaged[p]));
+
+  return Object.keys(byPath)
+    .sort()
+    .map((p) => byPath[p]);
 };
 
+/**
+ * Returns the name of the checked out branch, or a note of the
+ * commit HEAD points at if it is detached.
+ */
+const branchLine = () =>
+  Refs.isHeadDetached()
+    ? "HEAD detached at " + Refs.hash("HEAD").slice(0, 7)
+    : "On branch " + Refs.headBranchName();
+
 /**
  * Returns an array of lines listing the files that have changes
  * that will be included in the next commit.
@@ -49,7 +131,7 @@ const listing = (heading, lines) => (lines.length > 0 ? [heading, lines] : []);
  */
 const toString = () => {
   return Utils.flatten([
-    "On branch " + Refs.headBranchName(),
+    branchLine(),
     listing("Untracked files:", untracked()),
     listing("Unmerged paths:", Index.conflictedPaths()),
     listing("Changes to be committed:", toBeCommitted()),
@@ -57,6 +139,47 @@ const toString = () => {
   ]).join("\n");
 };
 
+/**
+ * Returns the repository status with one line per path, each
+ * the two letter status of the path in the index and in the
+ * working copy, then the path. eg. "M  src/a.js" or "?? b.txt".
+ * The lines of the porcelain format are meant for scripts, so
+ * their paths are always relative to the root of the repository.
+ * Otherwise, they are relative to the current directory.
+ *
+ * @param {Boolean} porcelain
+ */
+const toShortString = (porcelain) =>
+  entries()
+    .map((e) => {
+      const path = porcelain
+        ? e.path
+        : nodePath.relative(process.cwd(), Files.workingCopyPath(e.path)) +
+          (e.path.endsWith(nodePath.sep) ? nodePath.sep : "");
+      return e.index + e.workingTree + " " + path;
+    })
+    .join("\n");
+
+/**
+ * Returns the repository status as JSON: the checked out branch,
+ * or null if HEAD is detached, the commit HEAD points at, or null
+ * if there are no commits yet, and the entries() for each path.
+ */
+const toJson = () =>
+  JSON.stringify(
+    {
+      branch: Refs.isHeadDetached() ? null : Refs.headBranchName(),
+      head: Refs.hash("HEAD") || null,
+      files: entries(),
+    },
+    null,
+    2
+  );
+
 module.exports = {
+  untracked,
+  entries,
   toString,
+  toShortString,
+  toJson,
 };
@@ -1,3 +1,5 @@
+const crypto = require("crypto");
+
 /**
  * Returns true if val is a string.
  *
@@ -6,20 +8,40 @@
 const isString = (val) => typeof val === "string";
 
 /**
- * Returns a hash of string.
+ * Returns the hex digest of data computed with algorithm
+ * (sha1 by default, or sha256).
  *
- * @param {String} string
+ * @param {String} data
+ * @param {String} algorithm
  */
-const hash = (string) => {
-  var hashInt = 0;
-  for (let i = 0; i < string.length; i++) {
-    hashInt = hashInt * 31 + string.charCodeAt(i);
-    hashInt = hashInt | 0;
-  }
+const hash = (data, algorithm = "sha1") =>
+  crypto.createHash(algorithm).update(data).digest("hex");
 
-  return Math.abs(hashInt).toString(16);
+/**
+ * Returns the offset of the local timezone at date from UTC in the
+ * form signatures record it, eg. "+0100" or "-0430".
+ *
+ * @param {Date} date
+ */
+const timezoneOffset = (date) => {
+  const offset = -date.getTimezoneOffset();
+  return (
+    (offset < 0 ? "-" : "+") +
+    String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0") +
+    String(Math.abs(offset) % 60).padStart(2, "0")
+  );
 };
 
+/**
+ * Returns true if buf looks like the content of a binary file.
+ * Like Git, it treats content with a NUL byte in its first
+ * 8000 bytes as binary.
+ *
+ * @param {Buffer} buf
+ */
+const isBinary = (buf) =>
+  buf !== undefined && Buffer.from(buf).slice(0, 8000).indexOf(0) !== -1;
+
 /**
  * Takes an array that contains 1 or more keys and has one
  * value at the end. It drills down into obj using the keys
@@ -85,18 +107,22 @@ const intersection = (a, b) => {
  * @param {String} remotePath
  */
 const onRemote = (remotePath) => {
-  return (fn) => {
+  return (fn, ...args) => {
     let originalDir = process.cwd();
     process.chdir(remotePath);
-    let result = fn.apply(null, Array.prototype.slice.call(arguments, 1));
-    process.chdir(originalDir);
-    return result;
+    try {
+      return fn.apply(null, args);
+    } finally {
+      process.chdir(originalDir);
+    }
   };
 };
 
 module.exports = {
   isString,
   hash,
+  timezoneOffset,
+  isBinary,
   setIn,
   lines,
   flatten,
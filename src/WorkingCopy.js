@@ -18,17 +18,15 @@ const FILE_STATUS = {
  * @param {Object} dif
  */
 const write = (dif) => {
-  // Takes the hashes of two versions of the same file
-  // and returns a string that represents the two versions
-  // as a conflicted file.
-  const composeConflict = (receiverFileHash, giverFileHash) => {
-    return (
-      "<<<<<<\n" +
-      Objects.read(receiverFileHash) +
-      "\n======\n" +
-      Objects.read(giverFileHash) +
-      "\n>>>>>>\n"
-    );
+  // Takes the diff entry for a conflicted file and returns
+  // its content with conflict markers around the regions
+  // that both sides changed. Binary files can't be spliced
+  // together with markers, so the receiver’s version is
+  // left in place for the user to resolve.
+  const composeConflict = (fileDiff) => {
+    return fileDiff.merged === undefined
+      ? Objects.read(fileDiff.receiver)
+      : Objects.read(fileDiff.merged);
   };
 
   // Go through all the files that have changed, updating
@@ -40,10 +38,7 @@ const write = (dif) => {
         Objects.read(dif[p].receiver || dif[p].giver)
       );
     } else if (dif[p].status === FILE_STATUS.CONFLICT) {
-      Files.write(
-        Files.workingCopyPath(p),
-        composeConflict(dif[p].receiver, dif[p].giver)
-      );
+      Files.write(Files.workingCopyPath(p), composeConflict(dif[p]));
     } else if (dif[p].status === FILE_STATUS.MODIFY) {
       Files.write(Files.workingCopyPath(p), Objects.read(dif[p].giver));
     } else if (dif[p].status === FILE_STATUS.DELETE) {
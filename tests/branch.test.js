@@ -0,0 +1,71 @@
+const Core = require("../src/Core");
+const Config = require("../src/Config");
+const Reflog = require("../src/Reflog");
+const Refs = require("../src/Refers");
+const { tempRepo, commitFile } = require("./helpers");
+
+test("Core.branch() -d and -D test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  Core.branch("merged");
+  Core.checkout(undefined, { b: "topic" });
+  const topic = commitFile("a.txt", "2\n", "topic");
+  Core.checkout("master");
+
+  expect(Core.branch("merged", { d: true })).toBe(
+    "Deleted branch merged (was " + one.slice(0, 7) + ")"
+  );
+  expect(Refs.exists("refs/heads/merged")).toBeFalsy();
+  expect(Reflog.read("refs/heads/merged")).toEqual([]);
+
+  // An unmerged branch is kept unless the delete is forced.
+  expect(() => Core.branch("topic", { d: true })).toThrow(
+    "the branch 'topic' is not fully merged"
+  );
+  expect(Refs.hash("topic")).toBe(topic);
+  expect(Core.branch("topic", { D: true })).toBe(
+    "Deleted branch topic (was " + topic.slice(0, 7) + ")"
+  );
+  expect(Refs.exists("refs/heads/topic")).toBeFalsy();
+
+  expect(() => Core.branch("master", { D: true })).toThrow(
+    "cannot delete branch 'master' checked out"
+  );
+  expect(() => Core.branch("nope", { d: true })).toThrow(
+    "branch 'nope' not found"
+  );
+});
+
+test("Core.branch() -m test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  Core.checkout("master", { b: "topic", track: true });
+  Core.checkout("master");
+  const entries = Reflog.read("refs/heads/topic");
+
+  Core.branch("renamed", { m: "topic" });
+  expect(Refs.exists("refs/heads/topic")).toBeFalsy();
+  expect(Refs.hash("renamed")).toBe(one);
+
+  // The log and the upstream move with the branch.
+  expect(Reflog.read("refs/heads/topic")).toEqual([]);
+  const moved = Reflog.read("refs/heads/renamed");
+  expect(moved[0].message).toBe(
+    "Branch: renamed refs/heads/topic to refs/heads/renamed"
+  );
+  expect(moved.slice(1)).toEqual(entries);
+  expect(Config.read().branch.renamed).toEqual({
+    remote: ".",
+    merge: "refs/heads/master",
+  });
+  expect(Config.read().branch.topic).toBe(undefined);
+
+  // -m with one name renames the checked out branch.
+  Core.branch(undefined, { m: "main" });
+  expect(Refs.headBranchName()).toBe("main");
+  expect(Refs.hash("HEAD")).toBe(one);
+
+  expect(() => Core.branch("main", { m: "renamed" })).toThrow(
+    "A branch named main already exists"
+  );
+});
@@ -0,0 +1,134 @@
+const Core = require("../src/Core");
+const Config = require("../src/Config");
+const Index = require("../src/Index");
+const Objects = require("../src/Objects");
+const Reflog = require("../src/Reflog");
+const Refs = require("../src/Refers");
+const { tempRepo, commitFile, writeFile, readFile } = require("./helpers");
+
+test("Core.checkout() -b test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  const two = commitFile("a.txt", "2\n", "two");
+
+  writeFile("b.txt", "local\n");
+  expect(Core.checkout(undefined, { b: "topic" })).toBe(
+    "Switched to a new branch 'topic'"
+  );
+  expect(Refs.headBranchName()).toBe("topic");
+  expect(Refs.hash("topic")).toBe(two);
+  expect(readFile("b.txt")).toBe("local\n");
+
+  expect(Core.checkout("HEAD~1", { b: "old" })).toBe(
+    "Switched to a new branch 'old'"
+  );
+  expect(Refs.hash("HEAD")).toBe(one);
+  expect(readFile("a.txt")).toBe("1\n");
+  expect(Index.toc()).toEqual(Objects.commitToc(one));
+  expect(Reflog.read("refs/heads/old")[0].message).toBe(
+    "branch: Created from HEAD~1"
+  );
+  expect(Reflog.read("HEAD")[0].message).toBe(
+    "checkout: moving from topic to old"
+  );
+
+  expect(() => Core.checkout(undefined, { b: "topic" })).toThrow(
+    "A branch named topic already exists"
+  );
+  expect(() => Core.checkout("nope", { b: "x" })).toThrow(
+    "not a valid object name: 'nope'"
+  );
+  expect(() => Core.checkout(undefined, { b: true })).toThrow(
+    "switch 'b' requires a value"
+  );
+});
+
+test("Core.checkout() -B test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  const two = commitFile("a.txt", "2\n", "two");
+  Core.branch("topic");
+
+  // An existing branch is reset to the start point.
+  expect(Core.checkout("HEAD~1", { B: "topic" })).toBe(
+    "Switched to and reset branch 'topic'"
+  );
+  expect(Refs.hash("topic")).toBe(one);
+  expect(readFile("a.txt")).toBe("1\n");
+  const entry = Reflog.read("refs/heads/topic")[0];
+  expect(entry).toMatchObject({
+    oldHash: two,
+    newHash: one,
+    message: "branch: Reset to HEAD~1",
+  });
+
+  // The checked out branch can be reset too.
+  expect(Core.checkout("master", { B: "topic" })).toBe(
+    "Switched to and reset branch 'topic'"
+  );
+  expect(Refs.hash("topic")).toBe(two);
+  expect(readFile("a.txt")).toBe("2\n");
+});
+
+test("Core.checkout() --orphan test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+
+  expect(Core.checkout(undefined, { orphan: "fresh" })).toBe(
+    "Switched to a new branch 'fresh'"
+  );
+  expect(Refs.headBranchName()).toBe("fresh");
+  expect(Refs.hash("HEAD")).toBe(undefined);
+  expect(Refs.exists("refs/heads/fresh")).toBeFalsy();
+  expect(Index.toc()).toEqual(Objects.commitToc(one));
+  expect(readFile("a.txt")).toBe("1\n");
+
+  const root = commitFile("b.txt", "b\n", "root");
+  expect(Objects.parseCommit(Objects.read(root)).parents).toEqual([]);
+});
+
+test("Core.checkout() -b in an empty repository test", () => {
+  tempRepo();
+  expect(Core.checkout(undefined, { b: "main" })).toBe(
+    "Switched to a new branch 'main'"
+  );
+  expect(Refs.headBranchName()).toBe("main");
+  commitFile("a.txt", "1\n", "one");
+  expect(Refs.hash("main")).toBe(Refs.hash("HEAD"));
+});
+
+test("Core.checkout() --track test", () => {
+  const upstream = tempRepo();
+  commitFile("a.txt", "1\n", "one");
+  const feature = commitFile("a.txt", "2\n", "feature");
+
+  tempRepo();
+  Core.remote("add", "origin", upstream);
+  Core.fetch("origin", "master");
+
+  // A remote branch resolves by its short name.
+  expect(Refs.hash("origin/master")).toBe(feature);
+
+  expect(Core.checkout("origin/master", { track: true })).toBe(
+    "branch 'master' set up to track 'origin/master'.\n" +
+      "Switched to a new branch 'master'"
+  );
+  expect(Refs.hash("master")).toBe(feature);
+  expect(readFile("a.txt")).toBe("2\n");
+  expect(Config.read().branch.master).toEqual({
+    remote: "origin",
+    merge: "refs/heads/master",
+  });
+  expect(Refs.trackedRef("master")).toBe("refs/remotes/origin/master");
+
+  Core.checkout("master", { b: "local", track: true });
+  expect(Config.read().branch.local).toEqual({
+    remote: ".",
+    merge: "refs/heads/master",
+  });
+  expect(Refs.trackedRef("local")).toBe("refs/heads/master");
+
+  expect(() => Core.checkout("HEAD", { b: "x", track: true })).toThrow(
+    "cannot set up tracking information; starting point 'HEAD' is not a branch"
+  );
+});
@@ -0,0 +1,93 @@
+const Core = require("../src/Core");
+const Objects = require("../src/Objects");
+const Reflog = require("../src/Reflog");
+const Refs = require("../src/Refers");
+const { tempRepo, tick, commitFile, writeFile } = require("./helpers");
+
+const parse = (revision) =>
+  Objects.parseCommit(Objects.read(Refs.hash(revision)));
+
+test("Core.commit() message test", () => {
+  tempRepo();
+  writeFile("a.txt", "1\n");
+  Core.add("a.txt");
+  Core.commit({ m: ["Subject", "Body paragraph.\n\nMore"] });
+  expect(parse("HEAD").message).toBe("Subject\n\nBody paragraph.\n\nMore");
+
+  writeFile("msg.txt", "From a file\n\n  indented line\n");
+  writeFile("a.txt", "2\n");
+  Core.add("a.txt");
+  tick();
+  Core.commit({ F: "msg.txt" });
+  expect(parse("HEAD").message).toBe("From a file\n\n  indented line");
+
+  expect(() => Core.commit({ m: "x", F: "msg.txt" })).toThrow(
+    "options '-m' and '-F' cannot be used together"
+  );
+  expect(() => Core.commit({ F: "missing.txt" })).toThrow(
+    "could not read log file 'missing.txt'"
+  );
+  expect(() => Core.commit({ m: true })).toThrow("switch 'm' requires a value");
+});
+
+test("Core.commit() --allow-empty test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  expect(() => Core.commit({ m: "nothing" })).toThrow(
+    "nothing to commit, working directory clean"
+  );
+
+  tick();
+  Core.commit({ m: "empty", "allow-empty": true });
+  expect(parse("HEAD").parents).toEqual([one]);
+  expect(parse("HEAD").tree).toBe(parse(one).tree);
+});
+
+test("Core.commit() --amend test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  process.env.ENKELGIT_AUTHOR_NAME = "Original Author";
+  const two = commitFile("a.txt", "2\n", "two");
+  const original = parse(two);
+
+  // Amend as someone else, later, with a new file and no message.
+  process.env.ENKELGIT_AUTHOR_NAME = "Someone Else";
+  writeFile("b.txt", "b\n");
+  Core.add("b.txt");
+  tick();
+  const out = Core.commit({ amend: true });
+  const amended = parse("HEAD");
+
+  expect(Refs.hash("HEAD")).not.toBe(two);
+  expect(out).toBe("[master " + Refs.hash("HEAD") + "] two");
+  expect(amended.parents).toEqual([one]);
+  expect(amended.message).toBe("two");
+  expect(amended.author).toEqual(original.author);
+  expect(amended.committer.date.getTime()).toBeGreaterThan(
+    original.committer.date.getTime()
+  );
+  expect(Object.keys(Objects.commitToc(Refs.hash("HEAD")))).toEqual([
+    "a.txt",
+    "b.txt",
+  ]);
+
+  const entry = Reflog.read("HEAD")[0];
+  expect(entry).toMatchObject({
+    oldHash: two,
+    newHash: Refs.hash("HEAD"),
+    message: "commit (amend): two",
+  });
+
+  // A new message replaces the old one.
+  tick();
+  Core.commit({ amend: true, m: "two, reworded" });
+  expect(parse("HEAD").message).toBe("two, reworded");
+  expect(parse("HEAD").parents).toEqual([one]);
+});
+
+test("Core.commit() --amend errors test", () => {
+  tempRepo();
+  expect(() => Core.commit({ amend: true, m: "x" })).toThrow(
+    "you have nothing to amend"
+  );
+});
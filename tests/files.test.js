@@ -0,0 +1,45 @@
+const Files = require("../src/Files");
+const { tempRepo, writeFile, readFile } = require("./helpers");
+const fs = require("fs");
+
+test("Files.updateLocked() test", () => {
+  tempRepo();
+  writeFile("a.txt", "old\n");
+
+  Files.updateLocked("a.txt", (content) => content + "new\n");
+  expect(readFile("a.txt")).toBe("old\nnew\n");
+  expect(fs.existsSync("a.txt.lock")).toBe(false);
+
+  // An update that throws leaves the file as it was.
+  expect(() =>
+    Files.updateLocked("a.txt", () => {
+      throw new Error("update failed");
+    })
+  ).toThrow("update failed");
+  expect(readFile("a.txt")).toBe("old\nnew\n");
+  expect(fs.existsSync("a.txt.lock")).toBe(false);
+
+  // A file whose lock is held is not changed and the lock is kept.
+  writeFile("a.txt.lock", "");
+  expect(() => Files.updateLocked("a.txt", () => "other\n")).toThrow(
+    "unable to create a.txt.lock: another enkelgit process seems to be" +
+      " running in this repository. If no other process is running," +
+      " remove the lock file and try again"
+  );
+  expect(readFile("a.txt")).toBe("old\nnew\n");
+  expect(readFile("a.txt.lock")).toBe("");
+});
+
+test("Files.tryUpdateLocked() test", () => {
+  tempRepo();
+  writeFile("a.txt", "old\n");
+
+  expect(Files.tryUpdateLocked("a.txt", () => undefined)).toBe(true);
+  expect(readFile("a.txt")).toBe("old\n");
+  expect(fs.existsSync("a.txt.lock")).toBe(false);
+
+  writeFile("a.txt.lock", "");
+  expect(Files.tryUpdateLocked("a.txt", () => "new\n")).toBe(false);
+  expect(readFile("a.txt")).toBe("old\n");
+  expect(readFile("a.txt.lock")).toBe("");
+});
@@ -0,0 +1,21 @@
+const Graph = require("../src/Graph");
+
+test("Graph.render() test", () => {
+  expect(
+    Graph.render([
+      { hash: "d", parents: ["c", "b"], lines: ["merge"] },
+      { hash: "c", parents: ["a"], lines: ["master"] },
+      { hash: "b", parents: ["a"], lines: ["feature"] },
+      { hash: "a", parents: [], lines: ["root"] },
+    ])
+  ).toEqual(["*   merge", "|\\", "* | master", "| * feature", "|/", "* root"]);
+});
+
+test("Graph.render() test with unrelated histories", () => {
+  expect(
+    Graph.render([
+      { hash: "b", parents: [], lines: ["orphan", "second line"] },
+      { hash: "a", parents: [], lines: ["root"] },
+    ])
+  ).toEqual(["* orphan", "  second line", "* root"]);
+});
@@ -0,0 +1,85 @@
+const nodePath = require("path");
+const fs = require("fs");
+const os = require("os");
+
+const Core = require("../src/Core");
+
+/**
+ * Seconds since the epoch of the next commit that commitFile()
+ * makes. Each commit is a minute after the last, so the order
+ * of commits never depends on how fast the tests run.
+ */
+let clock = 1700000000;
+
+/**
+ * Creates an empty repository in a new temporary directory and
+ * makes it the current directory. Commits and reflog entries are
+ * made by a fixed author and committer. It returns the directory.
+ */
+const tempRepo = () => {
+  const dir = fs.mkdtempSync(nodePath.join(os.tmpdir(), "enkelgit-"));
+  process.chdir(dir);
+  Core.init();
+  ["AUTHOR", "COMMITTER"].forEach((role) => {
+    process.env["ENKELGIT_" + role + "_NAME"] = "Ada Lovelace";
+    process.env["ENKELGIT_" + role + "_EMAIL"] = "ada@example.com";
+  });
+  tick();
+  return dir;
+};
+
+/**
+ * Moves the date that commits and reflog entries record on by a
+ * minute.
+ */
+const tick = () => {
+  clock += 60;
+  ["AUTHOR", "COMMITTER"].forEach((role) => {
+    process.env["ENKELGIT_" + role + "_DATE"] = clock + " +0000";
+  });
+};
+
+/**
+ * Writes content to path, relative to the current directory,
+ * creating any directories it needs.
+ *
+ * @param {String} path
+ * @param {String} content
+ */
+const writeFile = (path, content) => {
+  fs.mkdirSync(nodePath.dirname(path), { recursive: true });
+  fs.writeFileSync(path, content);
+};
+
+/**
+ * Returns the content of the file at path, or undefined if there
+ * is no file there.
+ *
+ * @param {String} path
+ */
+const readFile = (path) =>
+  fs.existsSync(path) ? fs.readFileSync(path, "utf8") : undefined;
+
+/**
+ * Writes content to path, adds it and commits it with message. It
+ * returns the hash of the new commit.
+ *
+ * @param {String} path
+ * @param {String} content
+ * @param {String} message
+ */
+const commitFile = (path, content, message) => {
+  writeFile(path, content);
+  Core.add(path);
+  tick();
+  Core.commit({ m: message });
+  return Core.rev_parse("HEAD");
+};
+
+module.exports = {
+  tempRepo,
+  tick,
+  writeFile,
+  readFile,
+  commitFile,
+};
@@ -0,0 +1,31 @@
+const Ignore = require("../src/Ignore");
+
+test("Ignore.parse() test", () => {
+  const rules = Ignore.parse("# comment\n\n!keep.log\n/build/\n", "", "f");
+  expect(rules.length).toBe(2);
+  expect(rules[0]).toMatchObject({ pattern: "!keep.log", line: 3 });
+  expect(rules[0].negate).toBe(true);
+  expect(rules[1].dirOnly).toBe(true);
+});
+
+test("Ignore.lastMatch() test", () => {
+  const rules = Ignore.parse(
+    "*.log\n!keep.log\n/build/\ndocs/**/*.tmp\n",
+    "",
+    ".enkelgitignore"
+  ).concat(Ignore.parse("/local\n", "sub", "sub/.enkelgitignore"));
+  const ignored = (path, isDir = false) => {
+    const rule = Ignore.lastMatch(rules, path, isDir);
+    return rule !== undefined && !rule.negate;
+  };
+
+  expect(ignored("a/debug.log")).toBe(true);
+  expect(ignored("a/keep.log")).toBe(false);
+  expect(ignored("build", true)).toBe(true);
+  expect(ignored("build")).toBe(false);
+  expect(ignored("src/build", true)).toBe(false);
+  expect(ignored("docs/x.tmp")).toBe(true);
+  expect(ignored("docs/a/b/x.tmp")).toBe(true);
+  expect(ignored("sub/local")).toBe(true);
+  expect(ignored("local")).toBe(false);
+});
@@ -0,0 +1,155 @@
+const Index = require("../src/Index");
+const Objects = require("../src/Objects");
+const Files = require("../src/Files");
+const Core = require("../src/Core");
+const { tempRepo, writeFile } = require("./helpers");
+const fs = require("fs");
+
+test("Index.serialize() and Index.parse() test", () => {
+  const stat = {
+    ctimeSec: 1600000000,
+    ctimeNsec: 123,
+    mtimeSec: 1600000001,
+    mtimeNsec: 456,
+    ino: 42,
+    mode: 0o100644,
+    size: 6,
+  };
+  const entries = {
+    "a.txt,0": { hash: "45b983be36b73c0788dc9cbcb76cbb80fc7bb057", stat },
+    "src/b.js,2": { hash: "e0dc19cea60ea5aca428899da93ec20a6e566e30", stat },
+  };
+
+  const buf = Index.serialize(entries);
+  expect(buf.slice(0, 4).toString()).toBe("EIDX");
+  expect(Index.parse(buf)).toEqual(entries);
+
+  buf[20] ^= 1;
+  expect(() => Index.parse(buf)).toThrow("index file corrupt");
+});
+
+test("Index.matchingFiles() test", () => {
+  tempRepo();
+  const paths = ["a[1].txt", "a1.txt", "what?.md", "src/x.js", "src/y.txt"];
+  expect(Index.matchingFiles("a[1].txt", paths)).toEqual(["a[1].txt"]);
+  expect(Index.matchingFiles("what?.md", paths)).toEqual(["what?.md"]);
+  expect(Index.matchingFiles("a[0-9].txt", paths)).toEqual(["a1.txt"]);
+  expect(Index.matchingFiles("*.txt", paths)).toEqual(["a[1].txt", "a1.txt"]);
+  expect(Index.matchingFiles("src", paths)).toEqual(["src/x.js", "src/y.txt"]);
+  expect(Index.matchingFiles("src/*", paths)).toEqual([
+    "src/x.js",
+    "src/y.txt",
+  ]);
+  expect(Index.matchingFiles("sr", paths)).toEqual([]);
+  expect(Index.matchingFiles(".", paths)).toEqual(paths);
+});
+
+test("Index.session() locking test", () => {
+  tempRepo();
+  writeFile("a.txt", "a\n");
+  Core.add("a.txt");
+  const indexPath = Files.enkelgitPath("index");
+  const lockPath = indexPath + ".lock";
+  const before = fs.readFileSync(indexPath);
+
+  // A command can't change the index while another holds its lock.
+  fs.writeFileSync(lockPath, "");
+  writeFile("b.txt", "b\n");
+  expect(() => Core.add("b.txt")).toThrow(
+    "unable to create " +
+      lockPath +
+      ": another enkelgit process seems to be running in this" +
+      " repository. If no other process is running, remove the" +
+      " lock file and try again"
+  );
+  expect(fs.readFileSync(indexPath)).toEqual(before);
+  expect(fs.existsSync(lockPath)).toBe(true);
+  fs.unlinkSync(lockPath);
+
+  // A session can't overwrite changes flushed since it was loaded,
+  // even by a session that flushed straight away and left an index
+  // of the same size.
+  const stale = Index.session();
+  const other = Index.session();
+  other.writeNonConflict("a.txt", "b\n");
+  other.flush();
+  const flushed = fs.readFileSync(indexPath);
+  expect(flushed.length).toBe(before.length);
+  stale.writeNonConflict("c.txt", "c\n");
+  expect(() => stale.flush()).toThrow("index was changed by another process");
+  expect(fs.readFileSync(indexPath)).toEqual(flushed);
+  expect(Index.toc()).toEqual({ "a.txt": Objects.hash("b\n") });
+  expect(fs.existsSync(lockPath)).toBe(false);
+
+  // A session can be flushed again after its own changes.
+  other.writeNonConflict("b.txt", "b\n");
+  other.flush();
+  expect(Object.keys(Index.toc())).toEqual(["a.txt", "b.txt"]);
+});
+
+test("Index.session() batching test", () => {
+  tempRepo();
+  const indexPath = Files.enkelgitPath("index");
+  for (let i = 0; i < 20; i++) {
+    writeFile("dir/" + i + ".txt", i + "\n");
+  }
+
+  // Adding a directory reads and writes the index once, however
+  // many files are in it.
+  const updates = jest.spyOn(Files, "updateLocked");
+  Core.add("dir");
+  expect(updates.mock.calls.filter((c) => c[0] === indexPath).length).toBe(1);
+  updates.mockRestore();
+  expect(Object.keys(Index.toc()).length).toBe(20);
+
+  // Changes made in a session are only seen in it until it is flushed.
+  const before = fs.readFileSync(indexPath);
+  const index = Index.session();
+  index.writeNonConflict("new.txt", "new\n");
+  index.writeRm("dir/0.txt");
+  expect(index.hasFile("new.txt", 0)).toBe(true);
+  expect(index.hasFile("dir/0.txt", 0)).toBe(false);
+  expect(fs.readFileSync(indexPath)).toEqual(before);
+  expect(Index.hasFile("new.txt", 0)).toBe(false);
+  expect(Index.hasFile("dir/0.txt", 0)).toBe(true);
+
+  index.flush();
+  expect(Index.hasFile("new.txt", 0)).toBe(true);
+  expect(Index.hasFile("dir/0.txt", 0)).toBe(false);
+});
+
+test("Index.workingCopyToc() refresh test", () => {
+  tempRepo();
+  writeFile("a.txt", "a\n");
+  Core.add("a.txt");
+  const indexPath = Files.enkelgitPath("index");
+  const lockPath = indexPath + ".lock";
+
+  // Touching a file makes its stat data stale, so the next read-only
+  // command reads it and records its fresh stat data.
+  const touch = () =>
+    fs.utimesSync("a.txt", new Date(), new Date(Date.now() + 5000));
+  touch();
+  const before = fs.readFileSync(indexPath);
+  expect(Core.status({ porcelain: true })).toBe("A  a.txt");
+  expect(fs.readFileSync(indexPath)).not.toEqual(before);
+
+  // A read-only command doesn't fail while another process holds the
+  // lock. It just doesn't record the stat data.
+  touch();
+  fs.writeFileSync(lockPath, "");
+  const locked = fs.readFileSync(indexPath);
+  expect(Core.status({ porcelain: true })).toBe("A  a.txt");
+  expect(Core.diff(undefined, undefined, {})).toBe("");
+  expect(fs.readFileSync(indexPath)).toEqual(locked);
+  expect(fs.readFileSync(lockPath, "utf8")).toBe("");
+  fs.unlinkSync(lockPath);
+
+  // Nor does it undo changes another process made meanwhile.
+  const index = Index.session();
+  index.refresh("a.txt", Index.statOf("a.txt"));
+  Index.writeNonConflict("b.txt", "b\n");
+  index.tryFlush();
+  expect(Object.keys(Index.toc())).toEqual(["a.txt", "b.txt"]);
+  expect(fs.existsSync(lockPath)).toBe(false);
+});
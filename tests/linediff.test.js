@@ -0,0 +1,78 @@
+const LineDiff = require("../src/LineDiff");
+
+test("LineDiff.splitLines() test", () => {
+  expect(LineDiff.splitLines("a\nb\nc")).toEqual(["a\n", "b\n", "c"]);
+  expect(LineDiff.splitLines("")).toEqual([]);
+});
+
+test("LineDiff.diffLines() test", () => {
+  expect(LineDiff.diffLines(["a", "b", "c"], ["a", "c", "d"])).toEqual([
+    { type: "=", line: "a" },
+    { type: "-", line: "b" },
+    { type: "=", line: "c" },
+    { type: "+", line: "d" },
+  ]);
+});
+
+test("LineDiff.diffLines() large rewrite test", () => {
+  // Every line differs, so the shortest edit deletes all of a and
+  // adds all of b. Finding it must not keep a copy of the search
+  // for every number of edits.
+  const lines = (prefix) =>
+    Array.from({ length: 10000 }, (_, i) => prefix + i + "\n");
+  const a = lines("a");
+  const b = lines("b");
+  const heap = process.memoryUsage().heapUsed;
+  const start = Date.now();
+  const edits = LineDiff.diffLines(a, b);
+
+  expect(Date.now() - start).toBeLessThan(10000);
+  expect(process.memoryUsage().heapUsed - heap).toBeLessThan(64 * 1024 * 1024);
+  expect(edits.filter((e) => e.type === "-").map((e) => e.line)).toEqual(a);
+  expect(edits.filter((e) => e.type === "+").map((e) => e.line)).toEqual(b);
+  expect(edits.filter((e) => e.type === "=")).toEqual([]);
+
+  // Lines kept between rewritten runs are still found.
+  const c = a.slice(0, 100).concat(["kept\n"], a.slice(100, 200));
+  const d = b.slice(0, 50).concat(["kept\n"], b.slice(50, 300));
+  expect(LineDiff.diffLines(c, d).filter((e) => e.type === "=")).toEqual([
+    { type: "=", line: "kept\n" },
+  ]);
+});
+
+test("LineDiff.unified() test", () => {
+  const a = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n";
+  const b = "1\ntwo\n3\n4\n5\n6\n7\n8\n9\n10\n11";
+  expect(LineDiff.unified(a, b, 1)).toEqual([
+    "@@ -1,3 +1,3 @@",
+    " 1",
+    "-2",
+    "+two",
+    " 3",
+    "@@ -10 +10,2 @@",
+    " 10",
+    "+11",
+    "\\ No newline at end of file",
+  ]);
+  expect(LineDiff.unified("", "x\n")).toEqual(["@@ -0,0 +1 @@", "+x"]);
+});
+
+test("LineDiff.merge3() test", () => {
+  const base = "a\nb\nc\nd\ne\n";
+  expect(LineDiff.merge3(base, "A\nb\nc\nd\ne\n", "a\nb\nc\nd\nE\n")).toEqual({
+    text: "A\nb\nc\nd\nE\n",
+    conflicts: 0,
+  });
+  expect(
+    LineDiff.merge3(base, "a\nb\nX\nd\ne\n", "a\nb\nY\nd\ne\n", {
+      ours: "master",
+      theirs: "feature",
+      base: "base",
+      showBase: true,
+    })
+  ).toEqual({
+    text:
+      "a\nb\n<<<<<<< master\nX\n||||||| base\nc\n=======\nY\n>>>>>>> feature\nd\ne\n",
+    conflicts: 1,
+  });
+});
@@ -0,0 +1,44 @@
+const Core = require("../src/Core");
+const Log = require("../src/Log");
+const Objects = require("../src/Objects");
+const { tempRepo, commitFile } = require("./helpers");
+
+test("Core.log() -n test", () => {
+  tempRepo();
+  commitFile("a.txt", "1\n", "one");
+  commitFile("a.txt", "2\n", "two");
+  commitFile("b.txt", "3\n", "three");
+
+  const subjects = (out) => out.split("\n").filter((l) => l !== "");
+  expect(subjects(Core.log(undefined, { n: "2", format: "%s" }))).toEqual([
+    "three",
+    "two",
+  ]);
+  expect(Core.log(undefined, { n: "0", format: "%s" })).toBe("");
+  expect(
+    subjects(Core.log(undefined, { n: "1", format: "%s", "--": ["a.txt"] }))
+  ).toEqual(["two"]);
+
+  expect(() => Core.log(undefined, { n: "foo" })).toThrow(
+    "'foo' is not a non-negative integer"
+  );
+  expect(() => Core.log(undefined, { n: "-3" })).toThrow(
+    "'-3' is not a non-negative integer"
+  );
+  expect(() => Core.log(undefined, { n: true })).toThrow(
+    "switch 'n' requires a value"
+  );
+});
+
+test("Log.walk() limit test", () => {
+  tempRepo();
+  commitFile("a.txt", "1\n", "one");
+  commitFile("a.txt", "2\n", "two");
+  const head = commitFile("a.txt", "3\n", "three");
+
+  // Only the commits returned are read, so the walk stops early.
+  const read = jest.spyOn(Objects, "read");
+  expect(Log.walk([head], [], 1)).toEqual([head]);
+  expect(read.mock.calls.map((c) => c[0])).toEqual([head]);
+  read.mockRestore();
+});
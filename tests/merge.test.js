@@ -0,0 +1,77 @@
+const Objects = require("../src/Objects");
+const Merge = require("../src/Merge");
+const Index = require("../src/Index");
+const Files = require("../src/Files");
+const Core = require("../src/Core");
+const { tempRepo, commitFile, readFile } = require("./helpers");
+
+// Writes an empty commit with parents, committed at secs.
+const commitAt = (secs, message, parents) => {
+  const sig = {
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+    date: new Date(secs * 1000),
+    timezone: "+0000",
+  };
+  return Objects.writeCommit(Objects.writeTree({}), message, parents, sig, sig);
+};
+
+test("Merge.mergeBases() test", () => {
+  tempRepo();
+  const root = commitAt(100, "root", []);
+  const a1 = commitAt(200, "a1", [root]);
+  const a2 = commitAt(300, "a2", [a1]);
+  const b1 = commitAt(250, "b1", [a1]);
+
+  expect(Merge.mergeBases([a2], [b1])).toEqual([a1]);
+  expect(Merge.mergeBases([a2], [a1])).toEqual([a1]);
+  expect(Merge.mergeBases([a2], [a2])).toEqual([a2]);
+  expect(Merge.mergeBases([a2], [commitAt(400, "other", [])])).toEqual([]);
+});
+
+test("Merge.mergeBases() criss-cross test", () => {
+  tempRepo();
+  const root = commitAt(100, "root", []);
+  const a = commitAt(200, "a", [root]);
+  const b = commitAt(300, "b", [root]);
+
+  // Each side merges the other, so a and b are both best bases.
+  const aMerge = commitAt(400, "merge b into a", [a, b]);
+  const bMerge = commitAt(410, "merge a into b", [b, a]);
+  expect(Merge.mergeBases([aMerge], [bMerge])).toEqual([b, a]);
+
+  // x is found first, as it looks newer than y, but y is a better
+  // base because x is its ancestor.
+  const x = commitAt(600, "x", [root]);
+  const y = commitAt(550, "y", [x]);
+  const p = commitAt(700, "p", [y, x]);
+  const q = commitAt(710, "q", [y, x]);
+  expect(Merge.mergeBases([p], [q])).toEqual([y]);
+});
+
+test("Core.merge() conflict test", () => {
+  tempRepo();
+  commitFile("a.txt", "one\n", "one");
+  Core.branch("topic");
+  commitFile("a.txt", "ours\n", "ours");
+  Core.checkout("topic");
+  commitFile("a.txt", "theirs\n", "theirs");
+  Core.checkout("master");
+  const objects = Files.lsRecursive(Files.enkelgitPath("objects")).length;
+
+  expect(Core.merge("topic")).toBe(
+    "Automatic merge failed. Fix conflicts and commit the result."
+  );
+  expect(readFile("a.txt")).toBe(
+    "<<<<<<< master\nours\n=======\ntheirs\n>>>>>>> topic\n"
+  );
+  expect(readFile(".enkelgit/MERGE_MSG")).toBe(
+    "Merge topic into master\nConflicts:\na.txt"
+  );
+  expect(Index.conflictedPaths()).toEqual(["a.txt"]);
+
+  // The only object written is the blob with the conflict markers.
+  expect(Files.lsRecursive(Files.enkelgitPath("objects")).length).toBe(
+    objects + 1
+  );
+});
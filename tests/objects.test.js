@@ -0,0 +1,172 @@
+const zlib = require("zlib");
+const fs = require("fs");
+
+const Objects = require("../src/Objects");
+const Config = require("../src/Config");
+const Index = require("../src/Index");
+const Refs = require("../src/Refers");
+const Utils = require("../src/Utils");
+const Core = require("../src/Core");
+const { tempRepo, writeFile } = require("./helpers");
+
+test("Objects.parseSignature() test", () => {
+  const str = "Ada Lovelace <ada@example.com> 1700000000 +0100";
+  const sig = Objects.parseSignature(str);
+  expect(sig).toMatchObject({
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+    timezone: "+0100",
+  });
+  expect(sig.date.getTime()).toBe(1700000000 * 1000);
+  expect(Objects.formatSignature(sig)).toBe(str);
+  expect(Objects.parseSignature("Ada Lovelace")).toBe(undefined);
+});
+
+test("Objects.hash() object format test", () => {
+  const sha1Repo = tempRepo();
+  expect(Objects.hash("a\n").length).toBe(40);
+
+  // Each repository is hashed with its own format, however many
+  // repositories are used in one process.
+  process.chdir(fs.mkdtempSync(sha1Repo + "-sha256"));
+  Core.init({ "object-format": "sha256" });
+  expect(Objects.hash("a\n").length).toBe(64);
+  process.chdir(sha1Repo);
+  expect(Objects.hash("a\n").length).toBe(40);
+
+  // A repository made again at the same path uses its new format.
+  fs.rmdirSync(".enkelgit", { recursive: true });
+  Core.init({ "object-format": "sha256" });
+  expect(Objects.hash("a\n").length).toBe(64);
+
+  // So does a repository whose config is changed.
+  const config = Config.read();
+  config.core[""].objectformat = "sha1";
+  Config.write(config);
+  expect(Objects.hash("a\n").length).toBe(40);
+});
+
+test("Objects.write() loose object layout test", () => {
+  tempRepo();
+  const objectHash = Objects.write("hello\n", "blob");
+  const path = ".enkelgit/objects/" + objectHash.slice(0, 2) + "/";
+
+  // Objects are deflated and fanned out by the start of their hash.
+  expect(fs.readdirSync(path)).toEqual([objectHash.slice(2)]);
+  expect(
+    zlib.inflateSync(fs.readFileSync(path + objectHash.slice(2))).toString()
+  ).toBe("blob 6\0hello\n");
+  expect(Objects.readObject(objectHash)).toEqual({
+    type: "blob",
+    content: Buffer.from("hello\n"),
+  });
+
+  // Packed objects read the same once the loose copy is gone.
+  const treeHash = Objects.writeTree({ "a.txt": objectHash });
+  Objects.repack([treeHash]);
+  expect(Objects.isLoose(objectHash)).toBe(false);
+  expect(Objects.readObject(objectHash)).toEqual({
+    type: "blob",
+    content: Buffer.from("hello\n"),
+  });
+  expect(Objects.read(treeHash)).toBe("blob " + objectHash + " a.txt\n");
+});
+
+test("Core.migrate_objects() flat objects with headers test", () => {
+  tempRepo();
+  const stored = Buffer.from("blob 6\0hello\n");
+  const objectHash = Utils.hash(stored);
+  fs.writeFileSync(".enkelgit/objects/" + objectHash, stored);
+
+  expect(Core.migrate_objects()).toBe("Migrated 1 object");
+  expect(fs.existsSync(".enkelgit/objects/" + objectHash)).toBe(false);
+  expect(Objects.read(objectHash)).toEqual(Buffer.from("hello\n"));
+  expect(Core.migrate_objects()).toBe("Nothing to migrate");
+
+  fs.writeFileSync(".enkelgit/objects/" + "0".repeat(40), stored);
+  expect(() => Core.migrate_objects()).toThrow(
+    "object " + "0".repeat(40) + " is corrupt"
+  );
+});
+
+test("Core.migrate_objects() legacy objects test", () => {
+  tempRepo();
+
+  // The 32-bit hash that named objects before they had headers.
+  const legacyHash = (str) => {
+    let hashInt = 0;
+    for (let i = 0; i < str.length; i++) {
+      hashInt = (hashInt * 31 + str.charCodeAt(i)) | 0;
+    }
+
+    return Math.abs(hashInt).toString(16);
+  };
+  const writeLegacy = (str) => {
+    fs.writeFileSync(".enkelgit/objects/" + legacyHash(str), str);
+    return legacyHash(str);
+  };
+
+  // A one character blob has a two character name, like a fan-out
+  // directory, and a blob may look like a tree or a commit.
+  const a = writeLegacy("a");
+  const b = writeLegacy("blob 1234 not-a-tree\n");
+  const c = writeLegacy("commit of some work\n");
+  const sub = writeLegacy("blob " + c + " c.txt\n");
+  const tree1 = writeLegacy("blob " + a + " a.txt\n");
+  const tree2 = writeLegacy(
+    "blob " + a + " a.txt\nblob " + b + " b.txt\ntree " + sub + " sub\n"
+  );
+  const date = "Date:  Tue Nov 14 2023 22:13:20 GMT+0000 (UTC)\n";
+  const commit1 = writeLegacy("commit " + tree1 + "\n" + date + "\n    one\n");
+  const commit2 = writeLegacy(
+    "commit " +
+      tree2 +
+      "\nparent " +
+      commit1 +
+      "\n" +
+      date +
+      "\n    two\n    parent " +
+      commit1 +
+      "\n"
+  );
+  expect(a.length).toBe(2);
+
+  fs.writeFileSync(".enkelgit/refs/heads/master", commit2);
+  fs.writeFileSync(".enkelgit/refs/heads/old", commit1);
+  fs.writeFileSync(
+    ".enkelgit/FETCH_HEAD",
+    commit1 + " branch master of ../remote\n"
+  );
+  fs.writeFileSync(
+    ".enkelgit/index",
+    "a.txt 0 " + a + "\nb.txt 0 " + b + "\nsub/c.txt 0 " + c + "\n"
+  );
+  writeFile("a.txt", "a");
+  writeFile("b.txt", "blob 1234 not-a-tree\n");
+  writeFile("sub/c.txt", "commit of some work\n");
+
+  expect(Core.migrate_objects()).toBe("Migrated 8 objects");
+  expect(
+    fs
+      .readdirSync(".enkelgit/objects")
+      .every((n) => n.length === 2 || n === "pack")
+  ).toBe(true);
+
+  const head = Refs.hash("master");
+  const parsed = Objects.parseCommit(Objects.read(head));
+  expect(parsed.message).toBe("two\nparent " + commit1);
+  expect(parsed.parents).toEqual([Refs.hash("old")]);
+  expect(Objects.parseCommit(Objects.read(Refs.hash("old"))).message).toBe(
+    "one"
+  );
+  expect(Refs.fetchHeadBranchToMerge("master")).toBe(Refs.hash("old"));
+
+  const toc = Objects.commitToc(head);
+  expect(toc).toEqual({
+    "a.txt": Objects.hash("a"),
+    "b.txt": Objects.hash("blob 1234 not-a-tree\n"),
+    "sub/c.txt": Objects.hash("commit of some work\n"),
+  });
+  expect(Index.toc()).toEqual(toc);
+  expect(Core.status({ porcelain: true })).toBe("");
+});
@@ -0,0 +1,66 @@
+const fs = require("fs");
+
+const Pack = require("../src/Pack");
+const Objects = require("../src/Objects");
+const Files = require("../src/Files");
+const { tempRepo } = require("./helpers");
+
+test("Pack.computeDelta() test", () => {
+  const base = Buffer.from(
+    "In a hole in the ground there lived a hobbit.\n".repeat(10)
+  );
+  const target = Buffer.concat([
+    Buffer.from("Chapter 1\n"),
+    base.slice(0, 200),
+    Buffer.from("Not a nasty, dirty, wet hole.\n"),
+    base.slice(230),
+  ]);
+
+  const delta = Pack.computeDelta(base, target);
+  expect(delta.length).toBeLessThan(target.length / 2);
+});
+
+test("Pack.applyDelta() test", () => {
+  const base = Buffer.from(
+    "In a hole in the ground there lived a hobbit.\n".repeat(10)
+  );
+  const target = Buffer.concat([base.slice(40), Buffer.from([0, 255, 1])]);
+  expect(Pack.applyDelta(base, Pack.computeDelta(base, target))).toEqual(
+    target
+  );
+  expect(() =>
+    Pack.applyDelta(Buffer.from("other"), Pack.computeDelta(base, target))
+  ).toThrow("delta does not apply to its base");
+});
+
+test("Pack.read() corrupt pack test", () => {
+  tempRepo();
+  const writePack = (text) => {
+    const content = Buffer.from(text);
+    const hash = Objects.hash(content, "blob");
+    const name = Pack.write([{ hash, type: "blob", content }], "sha1").name;
+    return { hash, path: Files.enkelgitPath("objects/pack/" + name) };
+  };
+  const flipByte = (path, pos) => {
+    const buf = fs.readFileSync(path);
+    buf[pos] ^= 0xff;
+    fs.writeFileSync(path, buf);
+  };
+
+  const good = writePack("intact\n");
+  expect(Pack.read(good.hash).content.toString()).toBe("intact\n");
+
+  const badPack = writePack("bad pack\n");
+  flipByte(badPack.path + ".pack", 20);
+  expect(() => Pack.read(badPack.hash)).toThrow(
+    "pack file corrupt: bad checksum"
+  );
+  fs.unlinkSync(badPack.path + ".pack");
+  fs.unlinkSync(badPack.path + ".idx");
+
+  const badIdx = writePack("bad index\n");
+  fs.truncateSync(badIdx.path + ".idx", 30);
+  expect(() => Pack.read(badIdx.hash)).toThrow(
+    "pack index file corrupt: bad checksum"
+  );
+});
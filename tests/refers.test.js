@@ -0,0 +1,231 @@
+const Refs = require("../src/Refers");
+const Files = require("../src/Files");
+const Objects = require("../src/Objects");
+const Core = require("../src/Core");
+const {
+  tempRepo,
+  tick,
+  writeFile,
+  commitFile,
+  readFile,
+} = require("./helpers");
+const fs = require("fs");
+
+test("Refs.isValidRefName() test", () => {
+  expect(Refs.isValidRefName("refs/heads/feature/JIRA-123")).toBe(true);
+  expect(Refs.isValidRefName("refs/heads/release_2.1")).toBe(true);
+  expect(Refs.isValidRefName("master")).toBe(false);
+  expect(Refs.isValidRefName("master", true)).toBe(true);
+  expect(Refs.isValidRefName("refs/heads/a..b")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/.hidden")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a.lock")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a//b")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a/")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a.")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a@{1}")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a b")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a~1")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a*")).toBe(false);
+  expect(Refs.isValidRefName("refs/heads/a\\b")).toBe(false);
+  expect(Refs.isValidRefName("@", true)).toBe(false);
+});
+
+test("Refs.isRef() test", () => {
+  expect(Refs.isRef("refs/heads/feature/x")).toBeTruthy();
+  expect(Refs.isRef("refs/remotes/origin/feature/x")).toBeTruthy();
+  expect(Refs.isRef("refs/remotes/origin")).toBeFalsy();
+  expect(Refs.isRef("refs/tags/v1.0")).toBeTruthy();
+  expect(Refs.isRef("HEAD")).toBeTruthy();
+  expect(Refs.isRef("refs/other/x")).toBeFalsy();
+});
+
+test("Refs.parsePackedRefs() test", () => {
+  const a = "a".repeat(40);
+  const b = "b".repeat(40);
+  const refs = Refs.parsePackedRefs(
+    "# pack-refs with: peeled sorted\n" +
+      a +
+      " refs/heads/master\n" +
+      b +
+      " refs/tags/v1\n^" +
+      a +
+      "\n"
+  );
+  expect(refs).toEqual({ "refs/heads/master": a, "refs/tags/v1": b });
+});
+
+test("Refs.write() compare-and-swap test", () => {
+  tempRepo();
+  const first = commitFile("a.txt", "1\n", "one");
+  const second = commitFile("a.txt", "2\n", "two");
+  const refPath = Files.enkelgitPath("refs/heads/master");
+  const log = readFile(".enkelgit/logs/refs/heads/master");
+
+  // A ref can't be moved from a hash it no longer points at.
+  expect(() =>
+    Refs.write("refs/heads/master", first, first, "reset: stale")
+  ).toThrow(
+    "cannot lock ref refs/heads/master: is at " +
+      second +
+      " but expected " +
+      first
+  );
+  expect(Refs.hash("refs/heads/master")).toBe(second);
+  expect(readFile(".enkelgit/logs/refs/heads/master")).toBe(log);
+  expect(fs.existsSync(refPath + ".lock")).toBe(false);
+
+  // A ref that must be new can't replace an existing one.
+  expect(() => Refs.write("refs/heads/master", first, null)).toThrow(
+    "cannot lock ref refs/heads/master: it already exists"
+  );
+  expect(Refs.hash("refs/heads/master")).toBe(second);
+  expect(fs.existsSync(refPath + ".lock")).toBe(false);
+
+  Refs.write("refs/heads/master", first, second);
+  expect(Refs.hash("refs/heads/master")).toBe(first);
+});
+
+// Makes a repository whose history is:
+//
+//   one - two - three - merge (master)
+//            \          /
+//             side ----   (topic)
+//
+// and returns the hashes of its commits.
+const history = () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  const two = commitFile("a.txt", "2\n", "two: fix bug");
+  Core.checkout(undefined, { b: "topic" });
+  const side = commitFile("b.txt", "b\n", "side");
+  Core.checkout("master");
+  const three = commitFile("a.txt", "3\n", "three");
+  tick();
+  Core.merge("topic");
+  return { one, two, side, three, merge: Core.rev_parse("HEAD") };
+};
+
+test("Refs.hash() ancestry test", () => {
+  const c = history();
+  expect(Objects.parentHashes(Objects.read(c.merge))).toEqual([
+    c.three,
+    c.side,
+  ]);
+
+  expect(Refs.hash("HEAD")).toBe(c.merge);
+  expect(Refs.hash("@")).toBe(c.merge);
+  expect(Refs.hash("HEAD^0")).toBe(c.merge);
+  expect(Refs.hash("HEAD^")).toBe(c.three);
+  expect(Refs.hash("HEAD^1")).toBe(c.three);
+  expect(Refs.hash("HEAD^2")).toBe(c.side);
+  expect(Refs.hash("HEAD^3")).toBe(undefined);
+  expect(Refs.hash("HEAD~")).toBe(c.three);
+  expect(Refs.hash("HEAD~2")).toBe(c.two);
+  expect(Refs.hash("master~3")).toBe(c.one);
+  expect(Refs.hash("master~4")).toBe(undefined);
+  expect(Refs.hash("HEAD^2~1")).toBe(c.two);
+  expect(Refs.hash("topic^^")).toBe(c.one);
+});
+
+test("Refs.hash() paths and messages test", () => {
+  const c = history();
+  writeFile("a.txt", "staged\n");
+  Core.add("a.txt");
+
+  expect(Refs.hash("HEAD~3:a.txt")).toBe(Objects.hash("1\n"));
+  expect(Refs.hash("topic:b.txt")).toBe(Objects.hash("b\n"));
+  expect(Refs.hash("HEAD:missing.txt")).toBe(undefined);
+  expect(Refs.hash("HEAD:")).toBe(Objects.treeHash(Objects.read(c.merge)));
+  expect(Refs.hash(":a.txt")).toBe(Objects.hash("staged\n"));
+
+  expect(Refs.hash(":/fix bug")).toBe(c.two);
+  expect(Refs.hash(":/^s")).toBe(c.side);
+  expect(Refs.hash(":/no such message")).toBe(undefined);
+});
+
+test("Refs.hash() reflog and upstream test", () => {
+  const c = history();
+  expect(Refs.hash("master@{0}")).toBe(c.merge);
+  expect(Refs.hash("master@{1}")).toBe(c.three);
+  expect(Refs.hash("@{1}")).toBe(c.three);
+  expect(Refs.hash("HEAD@{1}")).toBe(c.three);
+  expect(Refs.hash("HEAD@{2}")).toBe(c.two);
+  expect(Refs.hash("master@{99}")).toBe(undefined);
+
+  // A date gives the value the ref had at that time. A : inside the
+  // braces is part of the date, not a path.
+  const secs = (hash) => Objects.parseCommit(Objects.read(hash)).date / 1000;
+  const at = (s) => new Date(s * 1000).toISOString();
+  expect(Refs.hash("master@{" + at(secs(c.two) + 1) + "}")).toBe(c.two);
+  expect(Refs.hash("master@{" + at(secs(c.two) + 1) + "}:a.txt")).toBe(
+    Objects.hash("2\n")
+  );
+
+  expect(() => Refs.hash("@{u}")).toThrow(
+    "no upstream configured for branch 'master'"
+  );
+  Core.checkout("topic", { b: "local", track: true });
+  expect(Refs.hash("@{u}")).toBe(c.side);
+  expect(Refs.hash("local@{upstream}")).toBe(c.side);
+  expect(Refs.hash("@{u}~1")).toBe(c.two);
+});
+
+test("Refs.hash() abbreviated hash test", () => {
+  const c = history();
+  expect(Refs.hash(c.one.slice(0, 7))).toBe(c.one);
+  expect(Refs.hash(c.one.slice(0, 7) + "^{tree}")).toBe(
+    Objects.treeHash(Objects.read(c.one))
+  );
+  expect(Refs.hash(c.one.slice(0, 3))).toBe(undefined);
+
+  // Write two blobs whose hashes start with the same four characters.
+  const seen = {};
+  let i = 0;
+  while (seen[Objects.hash(i + "\n").slice(0, 4)] === undefined) {
+    seen[Objects.hash(i + "\n").slice(0, 4)] = i;
+    i++;
+  }
+
+  const prefix = Objects.hash(i + "\n").slice(0, 4);
+  Objects.write(i + "\n");
+  Objects.write(seen[prefix] + "\n");
+  expect(() => Refs.hash(prefix)).toThrow(
+    "short object ID " + prefix + " is ambiguous"
+  );
+  expect(() => Core.rev_parse(prefix)).toThrow(
+    "short object ID " + prefix + " is ambiguous"
+  );
+  expect(Refs.hash(Objects.hash(i + "\n").slice(0, 12))).toBe(
+    Objects.hash(i + "\n")
+  );
+});
+
+test("Core.rev_parse() annotated tag test", () => {
+  const c = history();
+  Core.tag("v1", "HEAD~3", { a: true, m: "Release 1" });
+  const tagHash = Refs.resolve("refs/tags/v1");
+
+  expect(Core.rev_parse("v1")).toBe(tagHash);
+  expect(Core.rev_parse(tagHash.slice(0, 7))).toBe(tagHash);
+  expect(Core.rev_parse("v1^{}")).toBe(c.one);
+  expect(Core.rev_parse("v1^{commit}")).toBe(c.one);
+  expect(Core.rev_parse("v1^{tag}")).toBe(tagHash);
+  expect(Core.rev_parse("v1^{tree}")).toBe(
+    Objects.treeHash(Objects.read(c.one))
+  );
+  expect(Core.rev_parse("v1~0")).toBe(c.one);
+  expect(Core.rev_parse("v1:a.txt")).toBe(Objects.hash("1\n"));
+
+  // Commands that need a commit follow the tag to it.
+  expect(Refs.hash("v1")).toBe(c.one);
+
+  expect(() => Core.rev_parse("HEAD^{tag}")).toThrow(
+    "ambiguous argument 'HEAD^{tag}': unknown revision"
+  );
+  expect(() => Core.rev_parse("nope")).toThrow(
+    "ambiguous argument 'nope': unknown revision"
+  );
+  expect(() => Core.rev_parse("HEAD^{blob}")).toThrow(
+    "ambiguous argument 'HEAD^{blob}': unknown revision"
+  );
+});
@@ -0,0 +1,56 @@
+const Reflog = require("../src/Reflog");
+const { tempRepo, tick } = require("./helpers");
+
+test("Reflog.parseDate() test", () => {
+  const now = Date.UTC(2024, 4, 10, 12, 0, 0);
+  const day = 24 * 60 * 60 * 1000;
+  expect(Reflog.parseDate("now", now)).toBe(now);
+  expect(Reflog.parseDate("yesterday", now)).toBe(now - day);
+  expect(Reflog.parseDate("2.days.ago", now)).toBe(now - 2 * day);
+  expect(Reflog.parseDate("3 hours ago", now)).toBe(now - 3 * 60 * 60 * 1000);
+  expect(Reflog.parseDate("2024-05-01T00:00:00Z", now)).toBe(
+    Date.UTC(2024, 4, 1)
+  );
+  expect(Reflog.parseDate("whenever", now)).toBe(undefined);
+});
+
+test("Reflog.parseLine() test", () => {
+  const entry = Reflog.parseLine(
+    "0".repeat(40) +
+      " " +
+      "a".repeat(40) +
+      " Ada <ada@example.com> 1700000000 +0100\tcommit (initial): first"
+  );
+  expect(entry).toMatchObject({
+    oldHash: "0".repeat(40),
+    newHash: "a".repeat(40),
+    identity: "Ada <ada@example.com>",
+    timezone: "+0100",
+    message: "commit (initial): first",
+  });
+  expect(entry.date.getTime()).toBe(1700000000 * 1000);
+});
+
+test("Reflog.append() test", () => {
+  tempRepo();
+  const [a, b, c] = ["a", "b", "c"].map((x) => x.repeat(40));
+  Reflog.append("refs/heads/topic", undefined, a, "branch: Created from HEAD");
+  tick();
+  Reflog.append("refs/heads/topic", a, b, "commit: two\n\nbody");
+  tick();
+  Reflog.append("refs/heads/topic", b, c, "commit: three");
+
+  const entries = Reflog.read("refs/heads/topic");
+  expect(entries.map((e) => e.message)).toEqual([
+    "commit: three",
+    "commit: two",
+    "branch: Created from HEAD",
+  ]);
+  expect(entries[2].oldHash).toBe("0".repeat(40));
+  expect(entries[0].identity).toBe("Ada Lovelace <ada@example.com>");
+  expect(Reflog.lookup("refs/heads/topic", "1")).toBe(b);
+
+  // Expiring rewrites the log without the old entries.
+  expect(Reflog.expire("refs/heads/topic", entries[1].date.getTime())).toBe(1);
+  expect(Reflog.read("refs/heads/topic").length).toBe(2);
+});
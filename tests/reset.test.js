@@ -0,0 +1,125 @@
+const Core = require("../src/Core");
+const Index = require("../src/Index");
+const Objects = require("../src/Objects");
+const Reflog = require("../src/Reflog");
+const Refs = require("../src/Refers");
+const { tempRepo, commitFile, writeFile, readFile } = require("./helpers");
+
+// Makes a repository with two commits: one has a.txt and b.txt,
+// two changes a.txt and adds c.txt.
+const twoCommits = () => {
+  tempRepo();
+  writeFile("b.txt", "b\n");
+  Core.add("b.txt");
+  const one = commitFile("a.txt", "1\n", "one");
+  writeFile("c.txt", "c\n");
+  Core.add("c.txt");
+  const two = commitFile("a.txt", "2\n", "two");
+  return { one, two };
+};
+
+test("Core.reset() --soft test", () => {
+  const { one, two } = twoCommits();
+  expect(Core.reset("HEAD~1", { soft: true })).toBe(undefined);
+
+  expect(Refs.hash("HEAD")).toBe(one);
+  expect(Refs.hash("ORIG_HEAD")).toBe(two);
+  expect(Index.toc()).toEqual(Objects.commitToc(two));
+  expect(readFile("a.txt")).toBe("2\n");
+  expect(Reflog.read("HEAD")[0].message).toBe("reset: moving to HEAD~1");
+  expect(Reflog.read("refs/heads/master")[0].newHash).toBe(one);
+});
+
+test("Core.reset() --mixed test", () => {
+  const { one, two } = twoCommits();
+  expect(Core.reset("HEAD~1", {})).toBe(
+    "Unstaged changes after reset:\nM\ta.txt"
+  );
+
+  expect(Refs.hash("HEAD")).toBe(one);
+  expect(Refs.hash("ORIG_HEAD")).toBe(two);
+  expect(Index.toc()).toEqual(Objects.commitToc(one));
+  expect(readFile("a.txt")).toBe("2\n");
+  expect(readFile("c.txt")).toBe("c\n");
+});
+
+test("Core.reset() --hard test", () => {
+  const { one, two } = twoCommits();
+  writeFile("a.txt", "local change\n");
+  writeFile("untracked.txt", "u\n");
+
+  expect(Core.reset("HEAD~1", { hard: true })).toBe(
+    "HEAD is now at " + one.slice(0, 7) + " one"
+  );
+  expect(Refs.hash("HEAD")).toBe(one);
+  expect(Index.toc()).toEqual(Objects.commitToc(one));
+  expect(readFile("a.txt")).toBe("1\n");
+  expect(readFile("b.txt")).toBe("b\n");
+  expect(readFile("c.txt")).toBe(undefined);
+  expect(readFile("untracked.txt")).toBe("u\n");
+
+  // ORIG_HEAD undoes the reset.
+  Core.reset("ORIG_HEAD", { hard: true });
+  expect(Refs.hash("HEAD")).toBe(two);
+  expect(readFile("a.txt")).toBe("2\n");
+  expect(readFile("c.txt")).toBe("c\n");
+});
+
+test("Core.reset() paths test", () => {
+  const { two } = twoCommits();
+  writeFile("a.txt", "staged\n");
+  writeFile("d/new.txt", "new\n");
+  Core.add("a.txt");
+  Core.add("d/new.txt");
+
+  Core.reset(undefined, { "--": ["a.txt", "d"] });
+  expect(Refs.hash("HEAD")).toBe(two);
+  expect(Refs.hash("ORIG_HEAD")).toBe(undefined);
+  expect(Index.toc()).toEqual(Objects.commitToc(two));
+  expect(readFile("a.txt")).toBe("staged\n");
+  expect(readFile("d/new.txt")).toBe("new\n");
+
+  // A path can be passed in place of the commit, and the entries
+  // can be taken from another commit.
+  Core.reset("HEAD~1", { "--": ["a.txt"] });
+  expect(Index.toc()["a.txt"]).toBe(Objects.hash("1\n"));
+  Core.reset("a.txt", {});
+  expect(Index.toc()["a.txt"]).toBe(Objects.hash("2\n"));
+
+  expect(() => Core.reset(undefined, { hard: true, "--": ["a.txt"] })).toThrow(
+    "cannot do a hard reset with paths"
+  );
+  expect(() => Core.reset(undefined, { "--": ["nope"] })).toThrow(
+    "pathspec 'nope' did not match any file(s) known to Enkelgit"
+  );
+  expect(() => Core.reset("nope", { "--": ["a.txt"] })).toThrow(
+    "could not parse object 'nope'"
+  );
+  expect(() => Core.reset("HEAD", { soft: true, hard: true })).toThrow(
+    "--soft, --mixed and --hard cannot be used together"
+  );
+});
+
+test("Core.reset() during a merge test", () => {
+  const { two } = twoCommits();
+  Core.branch("topic");
+  commitFile("a.txt", "ours\n", "ours");
+  Core.checkout("topic");
+  commitFile("a.txt", "theirs\n", "theirs");
+  Core.checkout("master");
+  const ours = Refs.hash("HEAD");
+  Core.merge("topic");
+  expect(Refs.hash("ORIG_HEAD")).toBe(ours);
+
+  expect(() => Core.reset(undefined, { soft: true })).toThrow(
+    "cannot do a soft reset in the middle of a merge"
+  );
+
+  // A hard reset abandons the merge and its conflicts.
+  Core.reset(undefined, { hard: true });
+  expect(Refs.hash("MERGE_HEAD")).toBe(undefined);
+  expect(readFile(".enkelgit/MERGE_MSG")).toBe(undefined);
+  expect(Index.conflictedPaths()).toEqual([]);
+  expect(readFile("a.txt")).toBe("ours\n");
+  expect(Refs.hash("HEAD~1")).toBe(two);
+});
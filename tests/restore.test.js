@@ -0,0 +1,111 @@
+const Core = require("../src/Core");
+const Index = require("../src/Index");
+const Objects = require("../src/Objects");
+const Refs = require("../src/Refers");
+const { tempRepo, commitFile, writeFile, readFile } = require("./helpers");
+
+test("Core.restore() test", () => {
+  tempRepo();
+  writeFile("src/b.js", "b1\n");
+  Core.add("src/b.js");
+  commitFile("a.txt", "1\n", "one");
+  writeFile("src/b.js", "b2\n");
+  Core.add("src/b.js");
+  const two = commitFile("a.txt", "2\n", "two");
+
+  // From the index into the working copy.
+  writeFile("a.txt", "local\n");
+  writeFile("src/b.js", "local\n");
+  Core.restore("*.txt", {});
+  expect(readFile("a.txt")).toBe("2\n");
+  expect(readFile("src/b.js")).toBe("local\n");
+  Core.restore("src", {});
+  expect(readFile("src/b.js")).toBe("b2\n");
+
+  // --staged takes the index entry from HEAD, leaving the file.
+  writeFile("a.txt", "staged\n");
+  Core.add("a.txt");
+  Core.restore("a.txt", { staged: true });
+  expect(Index.toc()).toEqual(Objects.commitToc(two));
+  expect(readFile("a.txt")).toBe("staged\n");
+
+  // --source takes files from another commit, into the working
+  // copy only unless --staged is passed too.
+  Core.restore("a.txt", { source: "HEAD~1" });
+  expect(readFile("a.txt")).toBe("1\n");
+  expect(Index.toc()["a.txt"]).toBe(Objects.hash("2\n"));
+  Core.restore(undefined, {
+    source: "HEAD~1",
+    staged: true,
+    worktree: true,
+    "--": ["a.txt", "src"],
+  });
+  expect(readFile("src/b.js")).toBe("b1\n");
+  expect(Index.toc()["a.txt"]).toBe(Objects.hash("1\n"));
+  expect(Index.toc()["src/b.js"]).toBe(Objects.hash("b1\n"));
+  expect(Refs.hash("HEAD")).toBe(two);
+
+  // Files the source doesn't have are removed.
+  writeFile("new.txt", "new\n");
+  Core.add("new.txt");
+  Core.restore("new.txt", { staged: true });
+  expect(Index.toc()["new.txt"]).toBe(undefined);
+  expect(readFile("new.txt")).toBe("new\n");
+  Core.add("new.txt");
+  Core.restore("new.txt", { source: "HEAD", staged: true, worktree: true });
+  expect(readFile("new.txt")).toBe(undefined);
+
+  expect(() => Core.restore("nope", {})).toThrow(
+    "pathspec 'nope' did not match any file(s) known to Enkelgit"
+  );
+  expect(() => Core.restore("a.txt", { source: "nope" })).toThrow(
+    "could not resolve 'nope'"
+  );
+  expect(() => Core.restore(undefined, {})).toThrow(
+    "you must specify path(s) to restore"
+  );
+});
+
+test("Core.checkout() paths test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  commitFile("a.txt", "2\n", "two");
+
+  writeFile("a.txt", "local\n");
+  expect(Core.checkout(undefined, { "--": ["a.txt"] })).toBe(
+    "Updated 1 path from the index"
+  );
+  expect(readFile("a.txt")).toBe("2\n");
+
+  // From a commit, the file is staged too.
+  expect(Core.checkout("HEAD~1", { "--": ["a.txt"] })).toBe(
+    "Updated 1 path from " + one.slice(0, 7)
+  );
+  expect(readFile("a.txt")).toBe("1\n");
+  expect(Index.toc()["a.txt"]).toBe(Objects.hash("1\n"));
+});
+
+test("Core.checkout() --ours and --theirs test", () => {
+  tempRepo();
+  commitFile("a.txt", "base\n", "base");
+  Core.branch("topic");
+  commitFile("a.txt", "ours\n", "ours");
+  Core.checkout("topic");
+  commitFile("a.txt", "theirs\n", "theirs");
+  Core.checkout("master");
+  Core.merge("topic");
+
+  expect(() => Core.checkout(undefined, { "--": ["a.txt"] })).toThrow(
+    "path 'a.txt' is unmerged"
+  );
+  Core.checkout(undefined, { theirs: true, "--": ["a.txt"] });
+  expect(readFile("a.txt")).toBe("theirs\n");
+  Core.restore("a.txt", { ours: true });
+  expect(readFile("a.txt")).toBe("ours\n");
+
+  // Picking a side leaves the conflict in the index to resolve.
+  expect(Index.conflictedPaths()).toEqual(["a.txt"]);
+  expect(() => Core.restore("a.txt", { ours: true, staged: true })).toThrow(
+    "--ours and --theirs cannot be used with a source"
+  );
+});
@@ -0,0 +1,84 @@
+const Core = require("../src/Core");
+const { tempRepo, commitFile, writeFile } = require("./helpers");
+const fs = require("fs");
+
+// Makes a repository with a change of every kind.
+const changes = () => {
+  tempRepo();
+  writeFile("deleted.txt", "d\n");
+  writeFile("src/unstaged.js", "u\n");
+  Core.add("deleted.txt");
+  Core.add("src/unstaged.js");
+  const head = commitFile("staged.txt", "1\n", "one");
+
+  writeFile("staged.txt", "2\n");
+  Core.add("staged.txt");
+  writeFile("added.txt", "a\n");
+  Core.add("added.txt");
+  writeFile("src/unstaged.js", "changed\n");
+  fs.unlinkSync("deleted.txt");
+  writeFile("untracked.txt", "?\n");
+  writeFile("new/dir.txt", "?\n");
+  return head;
+};
+
+test("Core.status() --porcelain test", () => {
+  changes();
+  const expected = [
+    "A  added.txt",
+    " D deleted.txt",
+    "?? new/",
+    " M src/unstaged.js",
+    "M  staged.txt",
+    "?? untracked.txt",
+  ].join("\n");
+  expect(Core.status({ porcelain: true })).toBe(expected);
+
+  // Porcelain paths stay relative to the root of the repository.
+  process.chdir("src");
+  expect(Core.status({ porcelain: true })).toBe(expected);
+  expect(Core.status({ s: true })).toBe(
+    [
+      "A  ../added.txt",
+      " D ../deleted.txt",
+      "?? ../new/",
+      " M unstaged.js",
+      "M  ../staged.txt",
+      "?? ../untracked.txt",
+    ].join("\n")
+  );
+});
+
+test("Core.status() --json test", () => {
+  const head = changes();
+  expect(JSON.parse(Core.status({ json: true }))).toEqual({
+    branch: "master",
+    head,
+    files: [
+      { path: "added.txt", index: "A", workingTree: " " },
+      { path: "deleted.txt", index: " ", workingTree: "D" },
+      { path: "new/", index: "?", workingTree: "?" },
+      { path: "src/unstaged.js", index: " ", workingTree: "M" },
+      { path: "staged.txt", index: "M", workingTree: " " },
+      { path: "untracked.txt", index: "?", workingTree: "?" },
+    ],
+  });
+
+  Core.checkout(head, {});
+  const detached = JSON.parse(Core.status({ json: true }));
+  expect(detached.branch).toBe(null);
+  expect(detached.head).toBe(head);
+});
+
+test("Core.status() conflict test", () => {
+  tempRepo();
+  commitFile("a.txt", "base\n", "base");
+  Core.branch("topic");
+  commitFile("a.txt", "ours\n", "ours");
+  Core.checkout("topic");
+  commitFile("a.txt", "theirs\n", "theirs");
+  Core.checkout("master");
+  Core.merge("topic");
+
+  expect(Core.status({ porcelain: true })).toBe("UU a.txt");
+});
@@ -0,0 +1,57 @@
+const Core = require("../src/Core");
+const Objects = require("../src/Objects");
+const Refs = require("../src/Refers");
+const { tempRepo, commitFile } = require("./helpers");
+
+test("Core.tag() lightweight test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+  const two = commitFile("a.txt", "2\n", "two");
+
+  Core.tag("v1", "HEAD~1", {});
+  expect(Refs.resolve("refs/tags/v1")).toBe(one);
+  expect(Refs.hash("v1")).toBe(one);
+
+  expect(() => Core.tag("v1", undefined, {})).toThrow(
+    "tag 'v1' already exists"
+  );
+  expect(Core.tag("v1", undefined, { f: true })).toBe(
+    "Updated tag 'v1' (was " + one.slice(0, 7) + ")"
+  );
+  expect(Refs.hash("v1")).toBe(two);
+
+  expect(Core.tag("v1", undefined, { d: true })).toBe(
+    "Deleted tag 'v1' (was " + two.slice(0, 7) + ")"
+  );
+  expect(Refs.exists("refs/tags/v1")).toBeFalsy();
+});
+
+test("Core.tag() annotated test", () => {
+  tempRepo();
+  const one = commitFile("a.txt", "1\n", "one");
+
+  Core.tag("v1", undefined, { a: true, m: "Release 1" });
+  const tagHash = Refs.resolve("refs/tags/v1");
+  expect(tagHash).not.toBe(one);
+  expect(Objects.type(tagHash)).toBe("tag");
+
+  const parsed = Objects.parseTag(Objects.read(tagHash));
+  expect(parsed).toMatchObject({
+    object: one,
+    type: "commit",
+    tag: "v1",
+    message: "Release 1",
+  });
+  expect(parsed.tagger).toMatchObject({
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+  });
+
+  // The tag peels to the commit it is for.
+  expect(Refs.hash("v1")).toBe(one);
+  expect(Core.tag(undefined, undefined, {})).toBe("v1");
+
+  expect(() => Core.tag("v2", undefined, { a: true })).toThrow(
+    "annotated tags need a message, pass one with -m or -F"
+  );
+});
@@ -7,7 +7,17 @@ test("Utils.isString() test", () => {
 
 test("Utils.hash() test", () => {
   expect(Utils.hash("In a hole in the ground there lived a hobbit")).toBe(
-    "3a9034a"
+    "e0dc19cea60ea5aca428899da93ec20a6e566e30"
+  );
+  expect(
+    Utils.hash("In a hole in the ground there lived a hobbit", "sha256")
+  ).toBe("86613c17a71362100a2ff1dcefa2ef6c735d15ffa141d2ae10997fea9564b0e5");
+});
+
+test("Utils.isBinary() test", () => {
+  expect(Utils.isBinary(Buffer.from("In a hole in the ground"))).toBe(false);
+  expect(Utils.isBinary(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00]))).toBe(
+    true
   );
 });
 